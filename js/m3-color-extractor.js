@@ -2,246 +2,1068 @@
  * Material Design 3 - 壁纸色彩提取器
  * 从图片中提取主色调并生成动态色彩方案
  */
+
+/**
+ * 取色失败时抛出的错误
+ * code 取值见 M3ExtractionError.IMAGE_LOAD 等常量
+ */
+class M3ExtractionError extends Error {
+  /**
+   * @param {string} code - 错误类型
+   * @param {string} message - 错误信息
+   * @param {Object} details - { imageUrl, cause }
+   */
+  constructor(code, message, { imageUrl = null, cause = null } = {}) {
+    super(message);
+    this.name = 'M3ExtractionError';
+    this.code = code;
+    this.imageUrl = imageUrl;
+    this.cause = cause;
+  }
+}
+
+// 图片加载失败
+M3ExtractionError.IMAGE_LOAD = 'image-load';
+// 跨域图片污染了Canvas，无法读取像素
+M3ExtractionError.CANVAS_TAINTED = 'canvas-tainted';
+// 图片中没有可用的不透明像素
+M3ExtractionError.NO_COLORS = 'no-colors';
+// 图片宽或高为0
+M3ExtractionError.EMPTY_IMAGE = 'empty-image';
+// 请求被调用方取消（通常是同一调用方发起了更新的请求）
+M3ExtractionError.SUPERSEDED = 'superseded';
+// 视频还没有可用的帧
+M3ExtractionError.NOT_READY = 'not-ready';
+
 class M3ColorExtractor {
   /**
    * 从图片URL提取主色调
    * @param {string} imageUrl - 图片URL
-   * @param {Function} callback - 回调函数
+   * @param {Function} callback - 回调函数，失败时参数为空数组
    * @param {number} colorCount - 提取颜色数量
    */
   static extractFromImageUrl(imageUrl, callback, colorCount = 5) {
-    const img = new Image();
-    img.crossOrigin = 'Anonymous';
+    this.extractFromImageUrlAsync(imageUrl, colorCount).then(callback, (error) => {
+      console.error(error.message, imageUrl);
+      callback([]);
+    });
+  }
+
+  /**
+   * 从图片URL提取主色调（Promise版本）
+   * @param {string} imageUrl - 图片URL
+   * @param {number} colorCount - 提取颜色数量
+   * @returns {Promise<Array>} 颜色数组，失败时以 M3ExtractionError 拒绝
+   */
+  static extractFromImageUrlAsync(imageUrl, colorCount = 5) {
+    return this.extractCandidatesFromImageUrlAsync(imageUrl, colorCount)
+      .then(candidates => candidates.map(candidate => candidate.color));
+  }
+
+  /**
+   * 从图片URL提取排序后的种子色候选
+   * @param {string} imageUrl - 图片URL
+   * @param {Function} callback - 回调函数，参数为候选数组（失败时为空数组）
+   * @param {number} count - 候选数量
+   */
+  static extractCandidatesFromImageUrl(imageUrl, callback, count = this.SEED_CANDIDATE_COUNT) {
+    this.extractCandidatesFromImageUrlAsync(imageUrl, count).then(callback, (error) => {
+      console.error(error.message, imageUrl);
+      callback([]);
+    });
+  }
+
+  /**
+   * 从图片URL提取排序后的种子色候选（Promise版本）
+   * @param {string} imageUrl - 图片URL
+   * @param {number} count - 候选数量
+   * @returns {Promise<Array>} 候选数组，失败时以 M3ExtractionError 拒绝
+   */
+  static extractCandidatesFromImageUrlAsync(imageUrl, count = this.SEED_CANDIDATE_COUNT) {
+    return this.extract(imageUrl, { count });
+  }
+
+  /**
+   * 从任意图片源提取排序后的种子色候选
+   * 支持Worker时在后台线程中计算，否则在主线程执行；
+   * 各请求互不影响，由调用方通过 signal 取消自己的旧请求（被取消的请求以 SUPERSEDED 拒绝）
+   * @param {string|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap|Blob|ImageData|Uint8ClampedArray|Array} source
+   *   图片URL、图片/Canvas/视频元素（取当前帧）、ImageBitmap、Blob/File、ImageData 或RGBA像素数组
+   * @param {Object} options - { count, signal, region, weight, ignoreExtremes, sampleSize }；
+   *   signal 为 AbortSignal，其余见 readImageData 和 pixelWeights
+   * @returns {Promise<Array>} 候选数组，失败时以 M3ExtractionError 拒绝
+   */
+  static extract(source, { count = this.SEED_CANDIDATE_COUNT, signal = null, ...options } = {}) {
+    const imageUrl = typeof source === 'string' ? source : null;
+    const checkCurrent = () => {
+      if (signal && signal.aborted) {
+        throw new M3ExtractionError(M3ExtractionError.SUPERSEDED, '取色请求已取消', { imageUrl });
+      }
+    };
+    
+    try {
+      checkCurrent();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    
+    const job = this.canUseWorker(options)
+      ? this.extractInWorker(source, count, options, checkCurrent, signal)
+      : this.readImageData(source, options).then((image) => {
+        checkCurrent();
+        return this.extractSeedCandidates(image, count, options);
+      });
+    
+    return job.then((candidates) => {
+      checkCurrent();
+      if (candidates.length === 0) {
+        throw new M3ExtractionError(M3ExtractionError.NO_COLORS,
+          '图片中没有可用的颜色', { imageUrl });
+      }
+      return candidates;
+    });
+  }
+
+  /**
+   * 当前环境能否使用取色Worker
+   * 自定义权重函数无法发送给Worker，此时在主线程执行
+   * @param {Object} options - 取色选项
+   * @returns {boolean}
+   */
+  static canUseWorker(options = {}) {
+    return Boolean(this.workerUrl) &&
+      typeof options.weight !== 'function' &&
+      !this.extraction.workerFailed &&
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * 在Worker中提取种子色候选
+   * URL和DOM元素（图片、Canvas、视频当前帧）先在主线程解码为ImageBitmap，其余图片源直接发送
+   * @param {*} source - 图片源
+   * @param {number} count - 候选数量
+   * @param {Object} options - 取色选项
+   * @param {Function} checkCurrent - 请求已被取消时抛出错误
+   * @param {AbortSignal} signal - 取消信号（可选）
+   * @returns {Promise<Array>} 候选数组
+   */
+  static extractInWorker(source, count, options, checkCurrent, signal = null) {
+    return this.prepareWorkerSource(source).then(({ payload, ownsBitmap }) => {
+      const release = () => {
+        if (ownsBitmap) payload.close();
+      };
+      
+      try {
+        checkCurrent();
+      } catch (e) {
+        release();
+        throw e;
+      }
+      
+      const worker = this.getWorker();
+      const job = worker
+        ? new Promise((resolve, reject) => {
+          const id = ++this.extraction.nextMessageId;
+          this.extraction.pending.set(id, { resolve, reject, payload, count, options });
+          worker.postMessage({ id, source: payload, count, options });
+          
+          if (signal) {
+            signal.addEventListener('abort', () => this.cancelExtraction(id), { once: true });
+          }
+        })
+        : this.readImageData(payload, options)
+          .then(image => this.extractSeedCandidates(image, count, options));
+      
+      return job.then(
+        (candidates) => {
+          release();
+          return candidates;
+        },
+        (error) => {
+          release();
+          throw error;
+        }
+      );
+    });
+  }
+
+  /**
+   * 将图片源转换为可以发送给Worker的数据
+   * @param {*} source - 图片源
+   * @returns {Promise<Object>} { payload, ownsBitmap }
+   */
+  static prepareWorkerSource(source) {
+    if (typeof source === 'string') {
+      return this.loadImage(source).then(img => this.createBitmap(img, source));
+    }
+    
+    if (typeof Element !== 'undefined' && source instanceof Element) {
+      return this.createBitmap(source);
+    }
+    
+    return Promise.resolve({ payload: source, ownsBitmap: false });
+  }
+
+  /**
+   * 将图片、Canvas或视频当前帧解码为ImageBitmap
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} element - 元素
+   * @param {string} imageUrl - 图片URL（仅用于错误信息）
+   * @returns {Promise<Object>} { payload, ownsBitmap }
+   */
+  static createBitmap(element, imageUrl = null) {
+    try {
+      this.drawableSize(element, imageUrl);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    
+    return createImageBitmap(element).then(bitmap => ({ payload: bitmap, ownsBitmap: true }));
+  }
+
+  /**
+   * 获取（必要时创建）取色Worker
+   * @returns {Worker|null} 无法创建时返回null
+   */
+  static getWorker() {
+    const state = this.extraction;
+    if (state.worker) return state.worker;
+    
+    let worker;
+    try {
+      worker = new Worker(this.workerUrl);
+    } catch (e) {
+      console.warn('Failed to start color extraction worker, using main thread:', e);
+      state.workerFailed = true;
+      return null;
+    }
     
-    img.onload = () => {
-      const colors = this.extractFromImage(img, colorCount);
-      callback(colors);
+    worker.onmessage = (event) => {
+      const { id, candidates, error } = event.data;
+      const request = state.pending.get(id);
+      if (!request) return;
+      
+      state.pending.delete(id);
+      if (error) {
+        request.reject(error.code
+          ? new M3ExtractionError(error.code, error.message)
+          : new Error(error.message));
+      } else {
+        request.resolve(candidates);
+      }
     };
     
-    img.onerror = () => {
-      console.error('Failed to load image:', imageUrl);
-      callback([]);
+    // Worker脚本加载失败等情况：停用Worker，未完成的请求改在主线程执行
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn('Color extraction worker failed, using main thread:', event.message);
+      state.workerFailed = true;
+      worker.terminate();
+      state.worker = null;
+      
+      const requests = Array.from(state.pending.values());
+      state.pending.clear();
+      requests.forEach(({ resolve, reject, payload, count, options }) => {
+        this.readImageData(payload, options)
+          .then(image => this.extractSeedCandidates(image, count, options))
+          .then(resolve, reject);
+      });
     };
     
-    img.src = imageUrl;
+    state.worker = worker;
+    return worker;
+  }
+
+  /**
+   * 取消Worker中一个未完成的取色请求
+   * Worker中的计算无法中断：没有其他请求时终止Worker（下次请求时重新创建），
+   * 否则丢弃该请求的结果，其他调用方的请求照常完成
+   * @param {number} id - 请求消息序号
+   */
+  static cancelExtraction(id) {
+    const state = this.extraction;
+    const request = state.pending.get(id);
+    if (!request) return;
+    
+    state.pending.delete(id);
+    if (state.pending.size === 0 && state.worker) {
+      state.worker.terminate();
+      state.worker = null;
+    }
+    
+    request.reject(new M3ExtractionError(M3ExtractionError.SUPERSEDED, '取色请求已取消'));
+  }
+
+  /**
+   * 读取图片源的像素数据，按选区裁剪并缩放到取样尺寸
+   * 主线程和Worker共用：Worker中只会收到Blob、ImageBitmap、ImageData和像素数组
+   * @param {*} source - 图片源，见 extract
+   * @param {Object} options - 选项
+   * @param {Object} options.region - 选区 { x, y, width, height }，为相对图片尺寸的比例 (0-1)
+   * @param {number} options.sampleSize - 取样宽度，默认 SAMPLE_SIZE
+   * @returns {Promise<Object>} { data, width, height }；原始像素数组没有尺寸信息，
+   *   width/height 为null且不支持选区
+   */
+  static readImageData(source, options = {}) {
+    if (typeof source === 'string') {
+      return this.loadImage(source).then(img => this.getImageData(img, source, options));
+    }
+    
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return this.decodeBlob(source).then((bitmap) => {
+        try {
+          return this.getImageData(bitmap, null, options);
+        } finally {
+          if (bitmap.close) bitmap.close();
+        }
+      });
+    }
+    
+    return new Promise((resolve) => {
+      // 原始像素数组
+      if (Array.isArray(source) || ArrayBuffer.isView(source)) {
+        resolve({ data: this.samplePixels(source, options.sampleSize), width: null, height: null });
+      } else if (source && source.data && source.width) {
+        // ImageData
+        resolve(this.resamplePixels(source, options));
+      } else if (source && typeof source === 'object' && 'width' in source) {
+        // 图片、Canvas、视频、ImageBitmap
+        resolve(this.getImageData(source, undefined, options));
+      } else {
+        throw new TypeError('不支持的图片源');
+      }
+    });
+  }
+
+  /**
+   * 解码Blob/File
+   * @param {Blob} blob - 图片数据
+   * @returns {Promise<ImageBitmap|HTMLImageElement>}
+   */
+  static decodeBlob(blob) {
+    const loadError = cause => new M3ExtractionError(M3ExtractionError.IMAGE_LOAD,
+      '图片解码失败', { cause });
+    
+    if (typeof createImageBitmap !== 'undefined') {
+      return createImageBitmap(blob).catch((e) => {
+        throw loadError(e);
+      });
+    }
+    
+    const url = URL.createObjectURL(blob);
+    return this.loadImage(url).then(
+      (img) => {
+        URL.revokeObjectURL(url);
+        return img;
+      },
+      (e) => {
+        URL.revokeObjectURL(url);
+        throw loadError(e);
+      }
+    );
+  }
+
+  /**
+   * 对原始像素数组均匀抽样，控制参与量化的像素数量
+   * @param {Uint8ClampedArray|Array} pixels - RGBA像素数据
+   * @param {number} sampleSize - 取样宽度，最多保留其平方个像素
+   * @returns {Uint8ClampedArray|Array} 抽样后的像素数据
+   */
+  static samplePixels(pixels, sampleSize = this.SAMPLE_SIZE) {
+    const pixelCount = Math.floor(pixels.length / 4);
+    const maxPixels = sampleSize * sampleSize;
+    if (pixelCount <= maxPixels) return pixels;
+    
+    const step = pixelCount / maxPixels;
+    const sampled = new Uint8ClampedArray(maxPixels * 4);
+    for (let i = 0; i < maxPixels; i++) {
+      const offset = Math.floor(i * step) * 4;
+      sampled[i * 4] = pixels[offset];
+      sampled[i * 4 + 1] = pixels[offset + 1];
+      sampled[i * 4 + 2] = pixels[offset + 2];
+      sampled[i * 4 + 3] = pixels[offset + 3];
+    }
+    return sampled;
+  }
+
+  /**
+   * 按选区裁剪ImageData并以最近邻缩放到取样宽度（不放大）
+   * @param {Object} image - { data, width, height }
+   * @param {Object} options - { region, sampleSize }
+   * @returns {Object} { data, width, height }
+   */
+  static resamplePixels({ data, width, height }, { region = null, sampleSize = this.SAMPLE_SIZE } = {}) {
+    const crop = this.regionRect(region, width, height);
+    const outWidth = Math.min(sampleSize, crop.width);
+    const outHeight = Math.max(1, Math.round((crop.height / crop.width) * outWidth));
+    const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+    
+    for (let y = 0; y < outHeight; y++) {
+      const sourceY = crop.y + Math.floor(((y + 0.5) / outHeight) * crop.height);
+      for (let x = 0; x < outWidth; x++) {
+        const sourceX = crop.x + Math.floor(((x + 0.5) / outWidth) * crop.width);
+        const from = (sourceY * width + sourceX) * 4;
+        const to = (y * outWidth + x) * 4;
+        out[to] = data[from];
+        out[to + 1] = data[from + 1];
+        out[to + 2] = data[from + 2];
+        out[to + 3] = data[from + 3];
+      }
+    }
+    
+    return { data: out, width: outWidth, height: outHeight };
+  }
+
+  /**
+   * 将比例选区换算为像素矩形，并限制在图片范围内
+   * @param {Object} region - { x, y, width, height }，相对图片尺寸的比例 (0-1)，为空表示整张图片
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @returns {Object} { x, y, width, height }（像素）
+   */
+  static regionRect(region, width, height) {
+    if (!region) return { x: 0, y: 0, width, height };
+    
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const { x = 0, y = 0, width: w = 1, height: h = 1 } = region;
+    const left = clamp(Math.round(x * width), 0, width - 1);
+    const top = clamp(Math.round(y * height), 0, height - 1);
+    
+    return {
+      x: left,
+      y: top,
+      width: clamp(Math.round(w * width), 1, width - left),
+      height: clamp(Math.round(h * height), 1, height - top)
+    };
+  }
+
+  /**
+   * 加载跨域图片
+   * @param {string} imageUrl - 图片URL
+   * @returns {Promise<HTMLImageElement>} 图片元素，失败时以 M3ExtractionError 拒绝
+   */
+  static loadImage(imageUrl) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'Anonymous';
+      
+      img.onload = () => resolve(img);
+      
+      img.onerror = (event) => {
+        reject(new M3ExtractionError(M3ExtractionError.IMAGE_LOAD,
+          '图片加载失败', { imageUrl, cause: event }));
+      };
+      
+      img.src = imageUrl;
+    });
   }
 
   /**
    * 从图片元素提取颜色
    * @param {HTMLImageElement} img - 图片元素
    * @param {number} colorCount - 提取颜色数量
+   * @param {Object} options - { region, weight, ignoreExtremes, sampleSize }，见 readImageData 和 pixelWeights
    * @returns {Array} 颜色数组
    */
-  static extractFromImage(img, colorCount = 5) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+  static extractFromImage(img, colorCount = 5, options = {}) {
+    return this.extractColorsFromPixels(this.getImageData(img, undefined, options), colorCount, options);
+  }
+
+  /**
+   * 获取可绘制图片源的原始尺寸
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap} source - 图片源
+   * @param {string} imageUrl - 图片URL（仅用于错误信息）
+   * @returns {Object} { width, height }
+   * @throws {M3ExtractionError} 视频还没有可用的帧，或尺寸为0时
+   */
+  static drawableSize(source, imageUrl = null) {
+    // 视频需要至少已解码当前帧（HAVE_CURRENT_DATA）
+    if ('readyState' in source && 'videoWidth' in source && source.readyState < 2) {
+      throw new M3ExtractionError(M3ExtractionError.NOT_READY,
+        '视频帧尚未就绪，无法提取颜色', { imageUrl });
+    }
     
-    // 设置Canvas尺寸
-    canvas.width = 100; // 缩小以提高性能
-    canvas.height = Math.round((img.height / img.width) * 100);
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    if (!width || !height) {
+      throw new M3ExtractionError(M3ExtractionError.EMPTY_IMAGE,
+        '图片尺寸为0，无法提取颜色', { imageUrl });
+    }
+    
+    return { width, height };
+  }
+
+  /**
+   * 将图片缩小绘制到Canvas并读取像素
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img - 图片源
+   * @param {string} imageUrl - 图片URL（仅用于错误信息）
+   * @returns {Uint8ClampedArray} RGBA像素数据
+   */
+  static getImagePixels(img, imageUrl = img.src || null) {
+    return this.getImageData(img, imageUrl).data;
+  }
+
+  /**
+   * 将图片选区缩小绘制到Canvas并读取ImageData
+   * 有OffscreenCanvas时优先使用，因此也可在Worker中调用
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap} img - 图片源（视频取当前帧）
+   * @param {string} imageUrl - 图片URL（仅用于错误信息）
+   * @param {Object} options - { region, sampleSize }，见 readImageData
+   * @returns {ImageData} 像素数据
+   * @throws {M3ExtractionError} 视频帧未就绪、图片尺寸为0或Canvas被跨域图片污染时
+   */
+  static getImageData(img, imageUrl = img.src || null, { region = null, sampleSize = this.SAMPLE_SIZE } = {}) {
+    const { width, height } = this.drawableSize(img, imageUrl);
+    
+    // 缩小以提高性能
+    const crop = this.regionRect(region, width, height);
+    const canvasWidth = sampleSize;
+    const canvasHeight = Math.max(1, Math.round((crop.height / crop.width) * sampleSize));
+    
+    let canvas;
+    if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(canvasWidth, canvasHeight);
+    } else {
+      canvas = document.createElement('canvas');
+      canvas.width = canvasWidth;
+      canvas.height = canvasHeight;
+    }
+    const ctx = canvas.getContext('2d');
     
     // 绘制图片
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, crop.x, crop.y, crop.width, crop.height, 0, 0, canvasWidth, canvasHeight);
     
     // 获取像素数据
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-    
-    // 提取颜色
-    return this.extractColorsFromPixels(pixels, colorCount);
+    try {
+      return ctx.getImageData(0, 0, canvasWidth, canvasHeight);
+    } catch (e) {
+      if (e.name !== 'SecurityError') throw e;
+      throw new M3ExtractionError(M3ExtractionError.CANVAS_TAINTED,
+        '图片不允许跨域读取像素，请确认服务器返回了CORS头', { imageUrl, cause: e });
+    }
   }
 
   /**
    * 从像素数据提取颜色
-   * @param {Uint8ClampedArray} pixels - 像素数据
+   * 使用Celebi量化器（Wu + 加权k-means）聚类，再按Material Score排序
+   * @param {Uint8ClampedArray|Object} pixels - RGBA像素数据，或 { data, width, height }
    * @param {number} colorCount - 提取颜色数量
-   * @returns {Array} 颜色数组
+   * @param {Object} options - { weight, ignoreExtremes }，见 pixelWeights
+   * @returns {Array} 颜色数组，按适合作为种子色的程度降序排列
    */
-  static extractColorsFromPixels(pixels, colorCount) {
-    // 量化颜色（简化版中位切割算法）
-    const colorMap = new Map();
+  static extractColorsFromPixels(pixels, colorCount = 5, options = {}) {
+    return this.extractSeedCandidates(pixels, colorCount, options).map(candidate => candidate.color);
+  }
+
+  /**
+   * 从像素数据提取排序后的种子色候选
+   * @param {Uint8ClampedArray|Object} pixels - RGBA像素数据，或 { data, width, height }
+   * @param {number} count - 候选数量
+   * @param {Object} options - { weight, ignoreExtremes }，见 pixelWeights
+   * @returns {Array} 候选数组，见 rankSeedCandidates；没有可用像素时为空数组
+   */
+  static extractSeedCandidates(pixels, count = this.SEED_CANDIDATE_COUNT, options = {}) {
+    const image = pixels.data ? pixels : { data: pixels, width: null, height: null };
+    const weights = this.pixelWeights(image, options);
+    const colorsToPopulation = M3Quantizer.quantize(image.data, this.QUANTIZE_MAX_COLORS, weights);
+    
+    // 没有可用像素（全部透明或被忽略）
+    if (colorsToPopulation.size === 0) return [];
+    
+    return this.rankSeedCandidates(colorsToPopulation, { desired: count });
+  }
+
+  /**
+   * 计算每个像素参与量化的权重
+   * @param {Object} image - { data, width, height }
+   * @param {Object} options - 选项
+   * @param {string|Function} options.weight - 权重蒙版：'center'、'top'、'bottom'，
+   *   或 (x, y) => 权重 (0-1)，x/y 为像素在选区中的相对位置 (0-1)；需要图片尺寸信息
+   * @param {boolean|Object} options.ignoreExtremes - 忽略接近纯白/纯黑的像素，
+   *   可传入 { black, white } 明度阈值，默认见 EXTREME_TONES
+   * @returns {Float32Array|null} 权重数组，不需要加权时为null
+   */
+  static pixelWeights({ data, width, height }, { weight = null, ignoreExtremes = false } = {}) {
+    let mask = typeof weight === 'function' ? weight : null;
+    if (typeof weight === 'string') {
+      mask = this.WEIGHT_MASKS[weight] || null;
+      if (!mask) console.warn(`Unknown weight mask "${weight}", ignored`);
+    }
     
-    for (let i = 0; i < pixels.length; i += 4) {
-      const r = pixels[i];
-      const g = pixels[i + 1];
-      const b = pixels[i + 2];
+    const positional = Boolean(mask && width && height);
+    if (!positional && !ignoreExtremes) return null;
+    
+    const { black, white } = { ...this.EXTREME_TONES, ...(ignoreExtremes === true ? {} : ignoreExtremes) };
+    const pixelCount = Math.floor(data.length / 4);
+    const weights = new Float32Array(pixelCount);
+    
+    for (let i = 0; i < pixelCount; i++) {
+      let value = 1;
       
-      // 忽略透明像素
-      if (pixels[i + 3] < 128) continue;
+      if (positional) {
+        const x = ((i % width) + 0.5) / width;
+        const y = (Math.floor(i / width) + 0.5) / height;
+        value = Math.max(0, Math.min(1, mask(x, y)));
+      }
       
-      // 量化到16个级别
-      const quantizedR = Math.floor(r / 16) * 16;
-      const quantizedG = Math.floor(g / 16) * 16;
-      const quantizedB = Math.floor(b / 16) * 16;
+      if (ignoreExtremes && value > 0) {
+        const [, y] = M3HCTColor.rgbToXyz(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        const tone = M3HCTColor.lstarFromY(y);
+        if (tone < black || tone > white) value = 0;
+      }
       
-      const colorKey = `${quantizedR},${quantizedG},${quantizedB}`;
-      colorMap.set(colorKey, (colorMap.get(colorKey) || 0) + 1);
+      weights[i] = value;
     }
     
-    // 按频率排序
-    const sortedColors = Array.from(colorMap.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, colorCount * 2); // 取两倍数量进行过滤
-    
-    // 过滤相似颜色
-    const distinctColors = [];
-    for (const [colorKey] of sortedColors) {
-      const [r, g, b] = colorKey.split(',').map(Number);
-      const hexColor = M3HCTColor.rgbToHex(r, g, b);
-      
-      // 检查是否与已有颜色太相似
-      const isDistinct = distinctColors.every(existingColor => {
-        const contrast = M3HCTColor.contrastRatio(hexColor, existingColor);
-        return contrast > 1.5; // 最小对比度阈值
-      });
+    return weights;
+  }
+
+  /**
+   * Material Score：按色度和色相占比为量化结果打分
+   * 与Android从壁纸选取种子色的规则一致
+   * @param {Map} colorsToPopulation - 颜色(0xRRGGBB) -> 像素数量
+   * @param {Object} options - { desired, fallbackColor, filter }
+   * @returns {Array} 颜色数组，得分降序且色相彼此区分
+   */
+  static scoreColors(colorsToPopulation, options = {}) {
+    return this.rankSeedCandidates(colorsToPopulation, options).map(candidate => candidate.color);
+  }
+
+  /**
+   * 按Material Score排序种子色候选
+   * @param {Map} colorsToPopulation - 颜色(0xRRGGBB) -> 像素数量
+   * @param {Object} options - { desired, fallbackColor, filter }
+   * @returns {Array} [{ color, score, population, hue, chroma, tone }]，
+   *   population 为图片中与该颜色色相相近（±15°）的像素占比 (0-1)；没有合适颜色时只包含备用色
+   */
+  static rankSeedCandidates(colorsToPopulation, {
+    desired = 4,
+    fallbackColor = this.SCORE.fallbackColor,
+    filter = true
+  } = {}) {
+    const {
+      targetChroma, weightProportion, weightChromaAbove, weightChromaBelow,
+      cutoffChroma, cutoffExcitedProportion
+    } = this.SCORE;
+    const hueOf = hue => Math.round(M3HCTColor.sanitizeDegrees(hue)) % 360;
+    
+    // 统计各色相的像素数量
+    const colorsHct = [];
+    const huePopulation = new Array(360).fill(0);
+    let populationSum = 0;
+    
+    colorsToPopulation.forEach((population, color) => {
+      const hex = M3Quantizer.intToHex(color);
+      const hct = M3HCTColor.fromHex(hex);
+      colorsHct.push({ hex, hct });
+      huePopulation[Math.floor(hct.hue) % 360] += population;
+      populationSum += population;
+    });
+    
+    // 每个色相及其邻近30°范围内的像素占比
+    const hueExcitedProportions = new Array(360).fill(0);
+    for (let hue = 0; hue < 360; hue++) {
+      const proportion = huePopulation[hue] / populationSum;
+      for (let i = hue - 14; i < hue + 16; i++) {
+        hueExcitedProportions[hueOf(i)] += proportion;
+      }
+    }
+    
+    // 打分
+    const scored = [];
+    colorsHct.forEach(({ hex, hct }) => {
+      const proportion = hueExcitedProportions[hueOf(hct.hue)];
+      if (filter && (hct.chroma < cutoffChroma || proportion <= cutoffExcitedProportion)) {
+        return;
+      }
       
-      if (isDistinct) {
-        distinctColors.push(hexColor);
-        if (distinctColors.length >= colorCount) break;
+      const proportionScore = proportion * 100 * weightProportion;
+      const chromaWeight = hct.chroma < targetChroma ? weightChromaBelow : weightChromaAbove;
+      const chromaScore = (hct.chroma - targetChroma) * chromaWeight;
+      scored.push({ hex, hct, proportion, score: proportionScore + chromaScore });
+    });
+    scored.sort((a, b) => b.score - a.score);
+    
+    // 从90°开始逐步放宽色相间隔，直到选够颜色
+    const hueDistance = (a, b) => 180 - Math.abs(Math.abs(a - b) - 180);
+    const chosen = [];
+    for (let minDistance = 90; minDistance >= 15; minDistance--) {
+      chosen.length = 0;
+      for (const candidate of scored) {
+        const { hue } = candidate.hct;
+        if (!chosen.some(other => hueDistance(hue, other.hct.hue) < minDistance)) {
+          chosen.push(candidate);
+        }
+        if (chosen.length >= desired) break;
       }
+      if (chosen.length >= desired) break;
+    }
+    
+    if (chosen.length === 0) {
+      const { hue, chroma, tone } = M3HCTColor.fromHex(fallbackColor);
+      return [{ color: fallbackColor, score: 0, population: 0, hue, chroma, tone }];
     }
     
-    return distinctColors;
+    return chosen.map(({ hex, hct, proportion, score }) => ({
+      color: hex,
+      score,
+      population: Math.min(1, proportion),
+      hue: hct.hue,
+      chroma: hct.chroma,
+      tone: hct.tone
+    }));
   }
 
   /**
    * 提取最适合作为主色调的颜色
-   * @param {Array} colors - 颜色数组
+   * @param {Array} colors - 颜色数组（extractColorsFromPixels 的结果，已按得分排序）
    * @returns {string} 主色调
    */
   static extractPrimaryColor(colors) {
     if (colors.length === 0) return '#6750A4'; // 默认颜色
-    
-    // 评估每个颜色的"适合度"
-    const scoredColors = colors.map(color => {
-      const hct = M3HCTColor.fromHex(color);
-      const rgb = M3HCTColor.hexToRgb(color);
-      
-      let score = 0;
-      
-      // 1. 色度得分（中等色度最好）
-      if (hct.chroma > 20 && hct.chroma < 60) score += 30;
-      
-      // 2. 明度得分（中等明度最好）
-      if (hct.tone > 30 && hct.tone < 70) score += 30;
-      
-      // 3. 饱和度得分（RGB最大差值）
-      const maxComponent = Math.max(rgb.r, rgb.g, rgb.b);
-      const minComponent = Math.min(rgb.r, rgb.g, rgb.b);
-      const saturation = (maxComponent - minComponent) / maxComponent;
-      if (saturation > 0.3 && saturation < 0.8) score += 20;
-      
-      // 4. 排除不友好的颜色
-      // 避免灰色
-      if (Math.abs(rgb.r - rgb.g) < 30 && Math.abs(rgb.g - rgb.b) < 30) score -= 50;
-      
-      // 避免过亮或过暗
-      if (hct.tone < 10 || hct.tone > 90) score -= 30;
-      
-      return { color, score };
-    });
-    
-    // 选择得分最高的颜色
-    scoredColors.sort((a, b) => b.score - a.score);
-    return scoredColors[0].color;
+    return colors[0];
   }
 
   /**
    * 从图片生成完整的Material You色彩方案
    * @param {HTMLImageElement} img - 图片元素
+   * @param {number} candidateIndex - 选用的种子色候选序号
+   * @param {Object} options - 方案选项，见 generateColorSchemeFromCandidates
+   * @returns {Object} 色彩方案
+   */
+  static generateColorSchemeFromImage(img, candidateIndex = 0, options = {}) {
+    const candidates = this.extractSeedCandidates(this.getImagePixels(img));
+    return this.generateColorSchemeFromCandidates(candidates, candidateIndex, options);
+  }
+
+  /**
+   * 从种子色候选生成完整的Material You色彩方案
+   * @param {Array} candidates - 种子色候选
+   * @param {number} candidateIndex - 选用的候选序号，超出范围时使用第一个
+   * @param {Object} options - 方案选项 { variant, contrastLevel, customColors }，见 generateSchemeFromColor
    * @returns {Object} 色彩方案
    */
-  static generateColorSchemeFromImage(img) {
-    const colors = this.extractFromImage(img, 8);
-    const primaryColor = this.extractPrimaryColor(colors);
+  static generateColorSchemeFromCandidates(candidates, candidateIndex = 0,
+                                           { variant = 'tonalSpot', contrastLevel = 0, customColors = [] } = {}) {
+    const colors = candidates.map(candidate => candidate.color);
+    const primaryColor = colors[candidateIndex] || this.extractPrimaryColor(colors);
     
     // 使用HCT算法生成完整调色板
-    const hctColor = M3HCTColor.fromHex(primaryColor);
     const dynamicPalette = M3HCTColor.generateDynamicPalette(primaryColor);
     
     return {
       primary: primaryColor,
       colors: colors,
+      candidates: candidates,
       palette: dynamicPalette.palette,
       scheme: {
-        light: this.generateSchemeFromColor(primaryColor, false),
-        dark: this.generateSchemeFromColor(primaryColor, true)
+        light: this.generateSchemeFromColor(primaryColor, false, variant, contrastLevel, customColors),
+        dark: this.generateSchemeFromColor(primaryColor, true, variant, contrastLevel, customColors)
       }
     };
   }
 
+  /**
+   * 从种子色生成Material 3关键调色板
+   * @param {string} seedColor - 种子颜色
+   * @param {string} variant - 方案变体，见 M3ColorExtractor.SCHEME_VARIANTS
+   * @returns {Object} { primary, secondary, tertiary, neutral, neutralVariant, error }
+   */
+  static generateCorePalettes(seedColor, variant = 'tonalSpot') {
+    const seed = M3HCTColor.fromHex(seedColor);
+    const { hue, chroma } = seed;
+    const palette = (h, c) => M3TonalPalette.fromHueAndChroma(h, c);
+    const error = palette(25, 84);
+    
+    switch (variant) {
+      case 'vibrant':
+        return {
+          primary: palette(hue, 200),
+          secondary: palette(this.rotateHue(hue, this.VIBRANT_ROTATIONS.secondary), 24),
+          tertiary: palette(this.rotateHue(hue, this.VIBRANT_ROTATIONS.tertiary), 32),
+          neutral: palette(hue, 10),
+          neutralVariant: palette(hue, 12),
+          error
+        };
+      
+      case 'expressive':
+        return {
+          primary: palette(hue + 240, 40),
+          secondary: palette(this.rotateHue(hue, this.EXPRESSIVE_ROTATIONS.secondary), 24),
+          tertiary: palette(this.rotateHue(hue, this.EXPRESSIVE_ROTATIONS.tertiary), 32),
+          neutral: palette(hue + 15, 8),
+          neutralVariant: palette(hue + 15, 12),
+          error
+        };
+      
+      case 'fidelity':
+      case 'content': {
+        // 保留种子色的色度，第三色取冷暖互补色（fidelity）或类似色（content）
+        const tertiary = variant === 'fidelity'
+          ? M3HCTColor.complementOf(seed)
+          : M3HCTColor.analogousOf(seed, 3, 6)[2];
+        const fixed = M3HCTColor.fixIfDisliked(tertiary);
+        
+        return {
+          primary: palette(hue, chroma),
+          secondary: palette(hue, Math.max(chroma - 32, chroma * 0.5)),
+          tertiary: palette(fixed.hue, fixed.chroma),
+          neutral: palette(hue, chroma / 8),
+          neutralVariant: palette(hue, chroma / 8 + 4),
+          error
+        };
+      }
+      
+      case 'neutral':
+        return {
+          primary: palette(hue, 12),
+          secondary: palette(hue, 8),
+          tertiary: palette(hue, 16),
+          neutral: palette(hue, 2),
+          neutralVariant: palette(hue, 2),
+          error
+        };
+      
+      case 'monochrome':
+        return {
+          primary: palette(hue, 0),
+          secondary: palette(hue, 0),
+          tertiary: palette(hue, 0),
+          neutral: palette(hue, 0),
+          neutralVariant: palette(hue, 0),
+          error
+        };
+      
+      case 'rainbow':
+        return {
+          primary: palette(hue, 48),
+          secondary: palette(hue, 16),
+          tertiary: palette(hue + 60, 24),
+          neutral: palette(hue, 0),
+          neutralVariant: palette(hue, 0),
+          error
+        };
+      
+      case 'fruitSalad':
+        return {
+          primary: palette(hue - 50, 48),
+          secondary: palette(hue - 50, 36),
+          tertiary: palette(hue, 36),
+          neutral: palette(hue, 10),
+          neutralVariant: palette(hue, 16),
+          error
+        };
+      
+      case 'tonalSpot':
+      default:
+        // 主色保留种子色相，次要色降低色度，第三色色相偏移60°，中性色接近灰阶
+        return {
+          primary: palette(hue, 36),
+          secondary: palette(hue, 16),
+          tertiary: palette(hue + 60, 24),
+          neutral: palette(hue, 6),
+          neutralVariant: palette(hue, 8),
+          error
+        };
+    }
+  }
+
+  /**
+   * 按色相区间表旋转色相
+   * @param {number} hue - 源色相
+   * @param {Object} table - { hues, rotations }
+   * @returns {number} 旋转后的色相
+   */
+  static rotateHue(hue, { hues, rotations }) {
+    for (let i = 0; i < hues.length - 1; i++) {
+      if (hue >= hues[i] && hue < hues[i + 1]) {
+        return M3HCTColor.sanitizeDegrees(hue + rotations[i]);
+      }
+    }
+    return hue;
+  }
+
   /**
    * 从颜色生成色彩方案
    * @param {string} primaryColor - 主色调
    * @param {boolean} isDark - 是否为暗色模式
+   * @param {string} variant - 方案变体
+   * @param {number} contrastLevel - 对比度级别 (-1 降低, 0 标准, 0.5 中等, 1 高)
+   * @param {Array} customColors - 自定义颜色 [{ name, value, harmonize }]
    * @returns {Object} 色彩方案
    */
-  static generateSchemeFromColor(primaryColor, isDark = false) {
-    const hctColor = M3HCTColor.fromHex(primaryColor);
+  static generateSchemeFromColor(primaryColor, isDark = false, variant = 'tonalSpot',
+                                 contrastLevel = 0, customColors = []) {
+    const palettes = this.generateCorePalettes(primaryColor, variant);
+    const roles = Object.assign({}, this.SCHEME_ROLES, this.VARIANT_ROLE_OVERRIDES[variant]);
+    
+    // 每个自定义颜色生成 color / onColor / colorContainer / onColorContainer 四个角色
+    this.normalizeCustomColors(customColors).forEach(({ name, value, harmonize }) => {
+      const color = harmonize ? M3HCTColor.harmonize(value, primaryColor) : value;
+      const hct = M3HCTColor.fromHex(color);
+      const Name = name.charAt(0).toUpperCase() + name.slice(1);
+      
+      palettes[name] = M3TonalPalette.fromHueAndChroma(hct.hue, Math.max(48, hct.chroma));
+      Object.assign(roles, this.customColorRoles(name, Name));
+    });
+    const level = Math.max(-1, Math.min(1, Number(contrastLevel) || 0));
+    const seed = M3HCTColor.fromHex(primaryColor);
+    const tones = {};
+    
+    // 按依赖顺序求明度：先求背景，再求前景
+    const resolveTone = (role) => {
+      if (role in tones) return tones[role];
+      
+      const [, lightTone, darkTone, options = {}] = roles[role];
+      const baseTone = isDark ? darkTone : lightTone;
+      let tone = typeof baseTone === 'function'
+        ? baseTone({ seed, palettes, isDark, resolveTone })
+        : this.contrastValue(baseTone, level);
+      
+      if (options.background) {
+        const background = options.background === 'highestSurface'
+          ? (isDark ? 'surfaceBright' : 'surfaceDim')
+          : options.background;
+        const bgTone = resolveTone(background);
+        const desiredRatio = this.contrastValue(options.contrast, level);
+        
+        // 降低对比度时直接取目标对比度，否则仅在不足时调整
+        if (level < 0 || M3HCTColor.ratioOfTones(tone, bgTone) < desiredRatio) {
+          tone = this.foregroundTone(bgTone, desiredRatio);
+        }
+      }
+      
+      // 与容器色保持至少10的明度差，且比容器离背景更远
+      if (options.pair) {
+        const pairTone = resolveTone(options.pair);
+        if (isDark && tone < pairTone + 10) {
+          tone = Math.min(100, pairTone + 10);
+        } else if (!isDark && tone > pairTone - 10) {
+          tone = Math.max(0, pairTone - 10);
+        }
+      }
+      
+      tones[role] = tone;
+      return tone;
+    };
     
-    // 根据明暗模式调整
-    const baseTone = isDark ? 20 : 80;
-    const containerTone = isDark ? 30 : 90;
-    const onColorTone = isDark ? 90 : 10;
+    const scheme = {};
+    Object.entries(roles).forEach(([role, [paletteKey]]) => {
+      scheme[role] = palettes[paletteKey].tone(resolveTone(role));
+    });
     
-    // 生成主要颜色
-    const primary = hctColor.toHex();
-    const primaryContainer = M3HCTColor.adjustTone(hctColor, containerTone - hctColor.tone).toHex();
+    return scheme;
+  }
+
+  /**
+   * 方案包含的全部颜色角色名
+   * @param {Array} customColors - 自定义颜色 [{ name, value, harmonize }]
+   * @returns {Array<string>} 角色名
+   */
+  static getSchemeRoleNames(customColors = []) {
+    const names = Object.keys(this.SCHEME_ROLES);
     
-    // 生成次要颜色（色调偏移60度）
-    const secondary = M3HCTColor.adjustHue(hctColor, 60);
-    const secondaryAdjusted = M3HCTColor.adjustTone(secondary, baseTone - secondary.tone);
+    this.normalizeCustomColors(customColors).forEach(({ name }) => {
+      const Name = name.charAt(0).toUpperCase() + name.slice(1);
+      names.push(...Object.keys(this.customColorRoles(name, Name)));
+    });
     
-    // 生成第三颜色（色调偏移120度）
-    const tertiary = M3HCTColor.adjustHue(hctColor, 120);
-    const tertiaryAdjusted = M3HCTColor.adjustTone(tertiary, baseTone - tertiary.tone);
+    return names;
+  }
+
+  /**
+   * 规范化自定义颜色列表：名称转为camelCase，过滤无效项
+   * @param {Array} customColors - 自定义颜色 [{ name, value, harmonize }]
+   * @returns {Array} 规范化后的列表
+   */
+  static normalizeCustomColors(customColors = []) {
+    const seen = new Set();
     
-    // 生成表面颜色
-    const surfaceHct = new M3HCTColor(hctColor.hue, Math.max(0, hctColor.chroma - 40), isDark ? 10 : 99);
+    return (customColors || []).reduce((list, color) => {
+      const name = String((color && color.name) || '')
+        .trim()
+        .replace(/[-_\s]+([a-zA-Z0-9])/g, (_, letter) => letter.toUpperCase());
+      const value = color && color.value;
+      
+      if (!/^[a-z][a-zA-Z0-9]*$/.test(name) || !/^#[0-9A-F]{6}$/i.test(value)) {
+        console.warn('Invalid custom color, skipped:', color);
+      } else if (name in this.SCHEME_ROLES || seen.has(name)) {
+        console.warn(`Custom color "${name}" conflicts with an existing role, skipped`);
+      } else {
+        seen.add(name);
+        list.push({ name, value: value.toUpperCase(), harmonize: color.harmonize !== false });
+      }
+      
+      return list;
+    }, []);
+  }
+
+  /**
+   * 自定义颜色的角色定义，与primary/primaryContainer使用相同的明度与对比度约束
+   * @param {string} name - 颜色名称 (camelCase)
+   * @param {string} Name - 首字母大写的名称
+   * @returns {Object} 角色定义
+   */
+  static customColorRoles(name, Name) {
+    const copy = (role, options) => {
+      const [, lightTone, darkTone, base = {}] = this.SCHEME_ROLES[role];
+      return [name, lightTone, darkTone, Object.assign({}, base, options)];
+    };
     
     return {
-      primary: primary,
-      onPrimary: M3HCTColor.getAccessibleTextColor(primary),
-      primaryContainer: primaryContainer,
-      onPrimaryContainer: M3HCTColor.getAccessibleTextColor(primaryContainer),
-      
-      secondary: secondaryAdjusted.toHex(),
-      onSecondary: M3HCTColor.getAccessibleTextColor(secondaryAdjusted.toHex()),
-      secondaryContainer: M3HCTColor.adjustTone(secondaryAdjusted, 10).toHex(),
-      onSecondaryContainer: M3HCTColor.getAccessibleTextColor(
-        M3HCTColor.adjustTone(secondaryAdjusted, 10).toHex()
-      ),
-      
-      tertiary: tertiaryAdjusted.toHex(),
-      onTertiary: M3HCTColor.getAccessibleTextColor(tertiaryAdjusted.toHex()),
-      tertiaryContainer: M3HCTColor.adjustTone(tertiaryAdjusted, 10).toHex(),
-      onTertiaryContainer: M3HCTColor.getAccessibleTextColor(
-        M3HCTColor.adjustTone(tertiaryAdjusted, 10).toHex()
-      ),
-      
-      surface: surfaceHct.toHex(),
-      surfaceDim: M3HCTColor.adjustTone(surfaceHct, isDark ? -4 : -12).toHex(),
-      surfaceBright: M3HCTColor.adjustTone(surfaceHct, isDark ? 14 : 4).toHex(),
-      surfaceContainerLowest: M3HCTColor.adjustTone(surfaceHct, isDark ? 0 : 5).toHex(),
-      surfaceContainerLow: M3HCTColor.adjustTone(surfaceHct, isDark ? 4 : 8).toHex(),
-      surfaceContainer: M3HCTColor.adjustTone(surfaceHct, isDark ? 6 : 12).toHex(),
-      surfaceContainerHigh: M3HCTColor.adjustTone(surfaceHct, isDark ? 8 : 16).toHex(),
-      surfaceContainerHighest: M3HCTColor.adjustTone(surfaceHct, isDark ? 12 : 22).toHex(),
-      
-      onSurface: M3HCTColor.getAccessibleTextColor(surfaceHct.toHex()),
-      onSurfaceVariant: M3HCTColor.adjustTone(surfaceHct, isDark ? 70 : 30).toHex(),
-      
-      outline: M3HCTColor.adjustTone(hctColor, isDark ? 60 : 50).toHex(),
-      outlineVariant: M3HCTColor.adjustTone(hctColor, isDark ? 30 : 80).toHex(),
-      
-      // 固定错误色
-      error: isDark ? '#F2B8B5' : '#BA1A1A',
-      onError: isDark ? '#601410' : '#FFFFFF',
-      errorContainer: isDark ? '#8C1D18' : '#FFDAD6',
-      onErrorContainer: isDark ? '#F9DEDC' : '#410002'
+      [name]: copy('primary', { pair: `${name}Container` }),
+      [`on${Name}`]: copy('onPrimary', { background: name }),
+      [`${name}Container`]: copy('primaryContainer'),
+      [`on${Name}Container`]: copy('onPrimaryContainer', { background: `${name}Container` })
     };
   }
 
+  /**
+   * 按对比度级别取值
+   * @param {number|Array} value - 固定值，或 [降低, 标准, 中等, 高] 四档取值
+   * @param {number} level - 对比度级别 (-1 - 1)
+   * @returns {number}
+   */
+  static contrastValue(value, level) {
+    if (!Array.isArray(value)) return value;
+    
+    const [low, normal, medium, high] = value;
+    const lerp = (a, b, t) => a + (b - a) * t;
+    
+    if (level <= -1) return low;
+    if (level < 0) return lerp(low, normal, level + 1);
+    if (level < 0.5) return lerp(normal, medium, level / 0.5);
+    if (level < 1) return lerp(medium, high, (level - 0.5) / 0.5);
+    return high;
+  }
+
+  /**
+   * 求在背景上达到目标对比度的前景明度
+   * @param {number} bgTone - 背景明度
+   * @param {number} ratio - 目标对比度
+   * @returns {number} 前景明度
+   */
+  static foregroundTone(bgTone, ratio) {
+    const lighter = M3HCTColor.lighterTone(bgTone, ratio);
+    const darker = M3HCTColor.darkerTone(bgTone, ratio);
+    const lighterTone = lighter < 0 ? 100 : lighter;
+    const darkerTone = darker < 0 ? 0 : darker;
+    const lighterRatio = M3HCTColor.ratioOfTones(lighterTone, bgTone);
+    const darkerRatio = M3HCTColor.ratioOfTones(darkerTone, bgTone);
+    
+    // 较暗背景优先使用浅色前景
+    if (Math.round(bgTone) < 60) {
+      const negligible = Math.abs(lighterRatio - darkerRatio) < 0.1 &&
+                         lighterRatio < ratio && darkerRatio < ratio;
+      return lighterRatio >= ratio || lighterRatio >= darkerRatio || negligible
+        ? lighterTone
+        : darkerTone;
+    }
+    
+    return darkerRatio >= ratio || darkerRatio >= lighterRatio ? darkerTone : lighterTone;
+  }
+
   /**
    * 创建颜色提取界面
    * @param {HTMLElement} container - 容器元素
@@ -252,7 +1074,7 @@ class M3ColorExtractor {
       <div class="m3-color-extractor">
         <div class="m3-extractor-header">
           <h3>壁纸色彩提取</h3>
-          <p>上传图片或输入URL，自动提取主色调并生成Material You色彩方案</p>
+          <p>上传图片或输入URL，提取壁纸颜色并选择一个生成Material You色彩方案</p>
         </div>
         
         <div class="m3-extractor-controls">
@@ -319,7 +1141,8 @@ class M3ColorExtractor {
     
     return {
       updatePreview: (imageUrl) => this.updateImagePreview(container, imageUrl),
-      updateColors: (colors) => this.updateColorPalette(container, colors),
+      updateColors: (candidates, selectedIndex) =>
+        this.updateColorPalette(container, candidates, selectedIndex),
       updateScheme: (scheme) => this.updateSchemePreview(container, scheme)
     };
   }
@@ -337,7 +1160,7 @@ class M3ColorExtractor {
     const copyBtn = container.querySelector('#m3-copy-scheme');
     
     let currentImageUrl = '';
-    let currentColors = [];
+    let currentCandidates = [];
     let currentScheme = null;
     
     // 文件选择
@@ -373,28 +1196,38 @@ class M3ColorExtractor {
       extractBtn.disabled = true;
       extractBtn.innerHTML = '<span class="m3-button-icon">⏳</span>提取中...';
       
-      this.extractFromImageUrl(currentImageUrl, (colors) => {
-        currentColors = colors;
-        this.updateColorPalette(container, colors);
+      this.extractCandidatesFromImageUrl(currentImageUrl, (candidates) => {
+        currentCandidates = candidates;
+        this.updateColorPalette(container, candidates);
         
-        // 生成色彩方案
-        const img = new Image();
-        img.crossOrigin = 'Anonymous';
-        img.onload = () => {
-          currentScheme = this.generateColorSchemeFromImage(img);
-          this.updateSchemePreview(container, currentScheme);
-          
-          extractBtn.disabled = false;
-          extractBtn.innerHTML = '<span class="m3-button-icon">🎨</span>提取色彩';
-        };
-        img.src = currentImageUrl;
+        // 默认使用得分最高的候选生成色彩方案
+        currentScheme = candidates.length > 0
+          ? this.generateColorSchemeFromCandidates(candidates, 0, this.getEngineSchemeOptions())
+          : null;
+        this.updateSchemePreview(container, currentScheme);
+        
+        extractBtn.disabled = false;
+        extractBtn.innerHTML = '<span class="m3-button-icon">🎨</span>提取色彩';
       });
     });
     
-    // 应用亮色主题
+    // 选择种子色候选
+    container.querySelector('#m3-color-palette').addEventListener('click', (e) => {
+      const item = e.target.closest('.m3-color-candidate');
+      if (!item) return;
+      
+      const index = Number(item.dataset.index);
+      currentScheme = this.generateColorSchemeFromCandidates(
+        currentCandidates, index, this.getEngineSchemeOptions()
+      );
+      this.updateColorPalette(container, currentCandidates, index);
+      this.updateSchemePreview(container, currentScheme);
+    });
+    
+    // 应用亮色主题：由引擎按当前的配色风格、对比度和自定义颜色重新生成
     applyLightBtn.addEventListener('click', () => {
       if (currentScheme && window.M3Theme) {
-        window.M3Theme.applyScheme(currentScheme.scheme.light);
+        window.M3Theme.applyTheme(currentScheme.primary, false);
         alert('已应用亮色主题！');
       }
     });
@@ -402,7 +1235,7 @@ class M3ColorExtractor {
     // 应用暗色主题
     applyDarkBtn.addEventListener('click', () => {
       if (currentScheme && window.M3Theme) {
-        window.M3Theme.applyScheme(currentScheme.scheme.dark);
+        window.M3Theme.applyTheme(currentScheme.primary, true);
         alert('已应用暗色主题！');
       }
     });
@@ -420,6 +1253,21 @@ class M3ColorExtractor {
     });
   }
 
+  /**
+   * 全局主题引擎当前的方案选项，用于预览与应用结果一致
+   * @returns {Object} { variant, contrastLevel, customColors }，没有引擎时为空对象
+   */
+  static getEngineSchemeOptions() {
+    const engine = typeof window !== 'undefined' ? window.M3Theme : null;
+    if (!engine) return {};
+    
+    return {
+      variant: engine.variant,
+      contrastLevel: engine.contrastLevel,
+      customColors: engine.customColors
+    };
+  }
+
   /**
    * 更新图片预览
    * @param {HTMLElement} container - 容器元素
@@ -433,14 +1281,15 @@ class M3ColorExtractor {
   }
 
   /**
-   * 更新颜色调色板
+   * 更新颜色调色板，以可选色块展示种子色候选
    * @param {HTMLElement} container - 容器元素
-   * @param {Array} colors - 颜色数组
+   * @param {Array} candidates - 种子色候选（也可以是颜色数组）
+   * @param {number} selectedIndex - 当前选中的候选序号
    */
-  static updateColorPalette(container, colors) {
+  static updateColorPalette(container, candidates, selectedIndex = 0) {
     const palette = container.querySelector('#m3-color-palette');
     
-    if (colors.length === 0) {
+    if (candidates.length === 0) {
       palette.innerHTML = `
         <div class="m3-palette-placeholder">
           <span class="m3-placeholder-icon">❌</span>
@@ -450,18 +1299,22 @@ class M3ColorExtractor {
       return;
     }
     
-    const primaryColor = this.extractPrimaryColor(colors);
-    const colorItems = colors.map(color => {
-      const isPrimary = color === primaryColor;
+    const colorItems = candidates.map((candidate, index) => {
+      const { color, population } = typeof candidate === 'string' ? { color: candidate } : candidate;
+      const isSelected = index === selectedIndex;
       const textColor = M3HCTColor.getAccessibleTextColor(color);
+      const share = population ? `${Math.round(population * 100)}%` : '';
       
       return `
-        <div class="m3-color-item ${isPrimary ? 'm3-color-primary' : ''}" 
-             style="background-color: ${color}; color: ${textColor};"
-             title="${color}">
+        <button type="button"
+                class="m3-color-item m3-color-candidate ${isSelected ? 'm3-color-selected' : ''}" 
+                style="background-color: ${color}; color: ${textColor};"
+                title="${color}${share ? ` · 占比 ${share}` : ''}"
+                aria-pressed="${isSelected}"
+                data-index="${index}">
           <span class="m3-color-hex">${color}</span>
-          ${isPrimary ? '<span class="m3-color-badge">主色调</span>' : ''}
-        </div>
+          ${share ? `<span class="m3-color-share">${share}</span>` : ''}
+        </button>
       `;
     }).join('');
     
@@ -536,4 +1389,249 @@ class M3ColorExtractor {
       </div>
     `;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 色彩角色 -> [调色板, 亮色明度, 暗色明度, 对比度约束]
+ * 明度可为 [降低, 标准, 中等, 高] 四档取值；
+ * 对比度约束：background 背景角色，contrast 四档目标对比度，pair 需保持明度差的容器角色
+ */
+M3ColorExtractor.SCHEME_ROLES = (() => {
+  const onSurface = { background: 'highestSurface', contrast: [4.5, 7, 11, 21] };
+  const accent = { background: 'highestSurface', contrast: [3, 4.5, 7, 7] };
+  const container = { background: 'highestSurface', contrast: [1, 1, 3, 4.5] };
+  const on = background => ({ background, contrast: [4.5, 7, 11, 21] });
+  const onVariant = background => ({ background, contrast: [3, 4.5, 7, 11] });
+  
+  return {
+    primary: ['primary', 40, 80, Object.assign({ pair: 'primaryContainer' }, accent)],
+    onPrimary: ['primary', 100, 20, on('primary')],
+    primaryContainer: ['primary', 90, 30, container],
+    onPrimaryContainer: ['primary', 10, 90, on('primaryContainer')],
+    
+    secondary: ['secondary', 40, 80, Object.assign({ pair: 'secondaryContainer' }, accent)],
+    onSecondary: ['secondary', 100, 20, on('secondary')],
+    secondaryContainer: ['secondary', 90, 30, container],
+    onSecondaryContainer: ['secondary', 10, 90, on('secondaryContainer')],
+    
+    tertiary: ['tertiary', 40, 80, Object.assign({ pair: 'tertiaryContainer' }, accent)],
+    onTertiary: ['tertiary', 100, 20, on('tertiary')],
+    tertiaryContainer: ['tertiary', 90, 30, container],
+    onTertiaryContainer: ['tertiary', 10, 90, on('tertiaryContainer')],
+    
+    surface: ['neutral', 98, 6],
+    surfaceDim: ['neutral', [87, 87, 80, 75], 6],
+    surfaceBright: ['neutral', 98, [24, 24, 29, 34]],
+    surfaceContainerLowest: ['neutral', 100, [4, 4, 2, 0]],
+    surfaceContainerLow: ['neutral', [96, 96, 96, 95], [10, 10, 11, 12]],
+    surfaceContainer: ['neutral', [94, 94, 92, 90], [12, 12, 16, 20]],
+    surfaceContainerHigh: ['neutral', [92, 92, 88, 85], [17, 17, 21, 25]],
+    surfaceContainerHighest: ['neutral', [90, 90, 84, 80], [22, 22, 26, 30]],
+    
+    onSurface: ['neutral', 10, 90, onSurface],
+    surfaceVariant: ['neutralVariant', 90, 30],
+    onSurfaceVariant: ['neutralVariant', 30, 80, onVariant('highestSurface')],
+    surfaceTint: ['primary', 40, 80],
+    
+    outline: ['neutralVariant', 50, 60, { background: 'highestSurface', contrast: [1.5, 3, 4.5, 7] }],
+    outlineVariant: ['neutralVariant', 80, 30, container],
+    
+    inverseSurface: ['neutral', 20, 90],
+    inverseOnSurface: ['neutral', 95, 20, on('inverseSurface')],
+    inversePrimary: ['primary', 80, 40, { background: 'inverseSurface', contrast: [3, 4.5, 7, 7] }],
+    
+    scrim: ['neutral', 0, 0],
+    shadow: ['neutral', 0, 0],
+    
+    error: ['error', 40, 80, Object.assign({ pair: 'errorContainer' }, accent)],
+    onError: ['error', 100, 20, on('error')],
+    errorContainer: ['error', 90, 30, container],
+    onErrorContainer: ['error', 10, 90, on('errorContainer')],
+    
+    // 固定色在亮色/暗色模式下保持一致
+    primaryFixed: ['primary', 90, 90, container],
+    primaryFixedDim: ['primary', 80, 80, container],
+    onPrimaryFixed: ['primary', 10, 10, on('primaryFixedDim')],
+    onPrimaryFixedVariant: ['primary', 30, 30, onVariant('primaryFixedDim')],
+    
+    secondaryFixed: ['secondary', 90, 90, container],
+    secondaryFixedDim: ['secondary', 80, 80, container],
+    onSecondaryFixed: ['secondary', 10, 10, on('secondaryFixedDim')],
+    onSecondaryFixedVariant: ['secondary', 30, 30, onVariant('secondaryFixedDim')],
+    
+    tertiaryFixed: ['tertiary', 90, 90, container],
+    tertiaryFixedDim: ['tertiary', 80, 80, container],
+    onTertiaryFixed: ['tertiary', 10, 10, on('tertiaryFixedDim')],
+    onTertiaryFixedVariant: ['tertiary', 30, 30, onVariant('tertiaryFixedDim')]
+  };
+})();
+
+/**
+ * 支持的方案变体（与Android动态配色风格对应）
+ */
+M3ColorExtractor.SCHEME_VARIANTS = [
+  'tonalSpot',
+  'vibrant',
+  'expressive',
+  'fidelity',
+  'content',
+  'neutral',
+  'monochrome',
+  'rainbow',
+  'fruitSalad'
+];
+
+/**
+ * 变体对角色明度的调整：
+ * 单色方案中主色/第三色及其固定色使用黑白两端的明度（surfaceTint、inversePrimary 不变）；
+ * fidelity/content 的主色与第三色容器保持种子色的明度，容器上的文字按对比度求得
+ * 明度可以是 ({ seed, palettes, isDark, resolveTone }) => tone
+ */
+M3ColorExtractor.VARIANT_ROLE_OVERRIDES = {
+  monochrome: (() => {
+    const roles = M3ColorExtractor.SCHEME_ROLES;
+    const withTones = (role, lightTone, darkTone) => [roles[role][0], lightTone, darkTone, roles[role][3]];
+    
+    return {
+      primary: withTones('primary', 0, 100),
+      onPrimary: withTones('onPrimary', 90, 10),
+      primaryContainer: withTones('primaryContainer', 25, 85),
+      onPrimaryContainer: withTones('onPrimaryContainer', 100, 0),
+      
+      secondaryContainer: withTones('secondaryContainer', 85, 30),
+      
+      tertiary: withTones('tertiary', 25, 90),
+      onTertiary: withTones('onTertiary', 90, 10),
+      tertiaryContainer: withTones('tertiaryContainer', 49, 60),
+      onTertiaryContainer: withTones('onTertiaryContainer', 100, 0),
+      
+      primaryFixed: withTones('primaryFixed', 40, 40),
+      primaryFixedDim: withTones('primaryFixedDim', 30, 30),
+      onPrimaryFixed: withTones('onPrimaryFixed', 100, 100),
+      onPrimaryFixedVariant: withTones('onPrimaryFixedVariant', 90, 90),
+      
+      secondaryFixed: withTones('secondaryFixed', 80, 80),
+      secondaryFixedDim: withTones('secondaryFixedDim', 70, 70),
+      onSecondaryFixedVariant: withTones('onSecondaryFixedVariant', 25, 25),
+      
+      tertiaryFixed: withTones('tertiaryFixed', 40, 40),
+      tertiaryFixedDim: withTones('tertiaryFixedDim', 30, 30),
+      onTertiaryFixed: withTones('onTertiaryFixed', 100, 100),
+      onTertiaryFixedVariant: withTones('onTertiaryFixedVariant', 90, 90)
+    };
+  })()
+};
+
+M3ColorExtractor.VARIANT_ROLE_OVERRIDES.fidelity = (() => {
+  const roles = M3ColorExtractor.SCHEME_ROLES;
+  const withTone = (role, tone) => [roles[role][0], tone, tone, roles[role][3]];
+  const containerTone = paletteKey => ({ seed, palettes }) =>
+    M3HCTColor.fixIfDisliked(palettes[paletteKey].getHct(seed.tone)).tone;
+  const onContainerTone = container => ({ resolveTone }) =>
+    M3ColorExtractor.foregroundTone(resolveTone(container), 4.5);
+  
+  return {
+    primaryContainer: withTone('primaryContainer', containerTone('primary')),
+    onPrimaryContainer: withTone('onPrimaryContainer', onContainerTone('primaryContainer')),
+    tertiaryContainer: withTone('tertiaryContainer', containerTone('tertiary')),
+    onTertiaryContainer: withTone('onTertiaryContainer', onContainerTone('tertiaryContainer'))
+  };
+})();
+
+M3ColorExtractor.VARIANT_ROLE_OVERRIDES.content = M3ColorExtractor.VARIANT_ROLE_OVERRIDES.fidelity;
+
+/**
+ * vibrant变体的色相旋转表
+ */
+M3ColorExtractor.VIBRANT_ROTATIONS = {
+  secondary: {
+    hues: [0, 41, 61, 101, 131, 181, 251, 301, 360],
+    rotations: [18, 15, 10, 12, 15, 18, 15, 12, 12]
+  },
+  tertiary: {
+    hues: [0, 41, 61, 101, 131, 181, 251, 301, 360],
+    rotations: [35, 30, 20, 25, 30, 35, 30, 25, 25]
+  }
+};
+
+/**
+ * expressive变体的色相旋转表
+ */
+M3ColorExtractor.EXPRESSIVE_ROTATIONS = {
+  secondary: {
+    hues: [0, 21, 51, 121, 151, 191, 271, 321, 360],
+    rotations: [45, 95, 45, 20, 45, 90, 45, 45, 45]
+  },
+  tertiary: {
+    hues: [0, 21, 51, 121, 151, 191, 271, 321, 360],
+    rotations: [120, 120, 20, 45, 20, 15, 20, 120, 120]
+  }
+};
+
+/**
+ * 配色算法版本：方案生成结果变化时递增，保存的旧方案将按种子色重新生成
+ */
+M3ColorExtractor.ALGORITHM_VERSION = 2;
+
+/**
+ * 从壁纸提取的种子色候选数量（与Android一致）
+ */
+M3ColorExtractor.SEED_CANDIDATE_COUNT = 4;
+
+/**
+ * 默认取样宽度：图片缩放到该宽度后取色（像素数组按同等像素数抽样），可通过 sampleSize 选项调整
+ */
+M3ColorExtractor.SAMPLE_SIZE = 100;
+
+/**
+ * 预设权重蒙版，参数为像素在选区中的相对位置 (0-1)
+ */
+M3ColorExtractor.WEIGHT_MASKS = {
+  // 中心最高，向四角线性衰减
+  center: (x, y) => 1 - 0.9 * Math.min(1, Math.hypot(x - 0.5, y - 0.5) / Math.SQRT1_2),
+  // 顶部最高（如时钟后方区域）
+  top: (x, y) => 1 - 0.9 * y,
+  // 底部最高（如Dock后方区域）
+  bottom: (x, y) => 0.1 + 0.9 * y
+};
+
+/**
+ * ignoreExtremes 默认的明度阈值：低于 black 或高于 white 的像素被忽略
+ */
+M3ColorExtractor.EXTREME_TONES = { black: 8, white: 95 };
+
+/**
+ * 取色Worker脚本地址（与本文件同目录），在Worker中加载本文件时为null
+ */
+M3ColorExtractor.workerUrl = typeof document !== 'undefined' && document.currentScript
+  ? new URL('m3-extraction-worker.js', document.currentScript.src).href
+  : null;
+
+/**
+ * 取色Worker状态：Worker实例和未完成的请求
+ */
+M3ColorExtractor.extraction = {
+  worker: null,
+  workerFailed: false,
+  pending: new Map(),
+  nextMessageId: 0
+};
+
+/**
+ * 量化时保留的最大颜色数
+ */
+M3ColorExtractor.QUANTIZE_MAX_COLORS = 128;
+
+/**
+ * Material Score 参数
+ */
+M3ColorExtractor.SCORE = {
+  targetChroma: 48,
+  weightProportion: 0.7,
+  weightChromaAbove: 0.3,
+  weightChromaBelow: 0.1,
+  cutoffChroma: 5,
+  cutoffExcitedProportion: 0.01,
+  // 没有合适颜色时使用的种子色（与Android一致）
+  fallbackColor: '#4285F4'
+};
@@ -0,0 +1,81 @@
+// Material Design 3 - 局部主题容器组件
+// <m3-theme seed="#FF6B6B" dark> 内的组件使用独立的色彩方案，全局主题保持不变；
+// 省略的属性沿用全局主题（如只写 dark 即得到当前全局主题的暗色版本，
+// 不写 dark 时跟随全局明暗，dark="false" 固定为亮色）
+class M3ThemeScope extends HTMLElement {
+  static get observedAttributes() {
+    return ['seed', 'dark', 'variant', 'contrast'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+      </style>
+      <slot></slot>
+    `;
+    this._handleGlobalThemeChange = () => this._applyTheme();
+  }
+
+  connectedCallback() {
+    window.addEventListener('m3-theme-change', this._handleGlobalThemeChange);
+    this._applyTheme();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('m3-theme-change', this._handleGlobalThemeChange);
+    if (window.M3Theme) {
+      window.M3Theme.removeScheme(this);
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue !== newValue && this.isConnected) {
+      this._applyTheme();
+    }
+  }
+
+  /**
+   * 当前容器使用的色彩方案
+   * @returns {Object|null}
+   */
+  get scheme() {
+    return this._scheme || null;
+  }
+
+  _applyTheme() {
+    const engine = window.M3Theme;
+    if (!engine) return;
+
+    const seed = this.getAttribute('seed') || engine.currentSeed;
+    const variant = this.getAttribute('variant') || engine.variant;
+    const contrast = parseFloat(this.getAttribute('contrast'));
+    const isDark = this.hasAttribute('dark')
+      ? this.getAttribute('dark') !== 'false'
+      : engine.isDark;
+
+    if (!/^#[0-9A-F]{6}$/i.test(seed)) {
+      console.warn(`m3-theme: invalid seed "${seed}"`);
+      return;
+    }
+
+    this._scheme = M3ColorExtractor.generateSchemeFromColor(
+      seed,
+      isDark,
+      M3ColorExtractor.SCHEME_VARIANTS.includes(variant) ? variant : 'tonalSpot',
+      Number.isFinite(contrast) ? contrast : engine.contrastLevel,
+      engine.customColors
+    );
+
+    engine.applyScheme(this._scheme, { target: this });
+  }
+}
+
+// 注册组件
+if (!customElements.get('m3-theme')) {
+  customElements.define('m3-theme', M3ThemeScope);
+}
@@ -0,0 +1,20 @@
+/**
+ * Material Design 3 - 取色Worker
+ * 在后台线程中解码图片、量化颜色并排序种子色候选，避免阻塞页面
+ * 消息格式：{ id, source, count, options } -> { id, candidates } 或 { id, error: { code, message } }
+ */
+importScripts('m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js');
+
+self.onmessage = (event) => {
+  const { id, source, count, options } = event.data;
+  
+  M3ColorExtractor.readImageData(source, options)
+    .then(image => M3ColorExtractor.extractSeedCandidates(image, count, options))
+    .then(
+      candidates => self.postMessage({ id, candidates }),
+      error => self.postMessage({
+        id,
+        error: { code: error.code || null, message: error.message }
+      })
+    );
+};
@@ -1,23 +1,94 @@
 /**
  * Material Design 3 - HCT色彩空间算法
  * 基于Google的Material Color Utilities
+ * 色相/色度取自CAM16色貌模型，明度取自CIELAB L*
  */
+
+/**
+ * CAM16观察条件
+ * 描述观察颜色时的环境（白点、适应亮度、背景明度、环绕）
+ */
+class M3ViewingConditions {
+  /**
+   * 创建观察条件
+   * @param {Object} options - 配置项
+   * @param {Array} options.whitePoint - 白点XYZ，默认D65
+   * @param {number} options.adaptingLuminance - 适应场亮度 (cd/m²)
+   * @param {number} options.backgroundLstar - 背景L*
+   * @param {number} options.surround - 环绕 (0 黑暗, 1 昏暗, 2 平均)
+   * @param {boolean} options.discountingIlluminant - 是否忽略光源
+   * @returns {M3ViewingConditions}
+   */
+  static make({
+    whitePoint = [95.047, 100.0, 108.883],
+    adaptingLuminance = (200 / Math.PI) * M3HCTColor.yFromLstar(50) / 100,
+    backgroundLstar = 50,
+    surround = 2,
+    discountingIlluminant = false
+  } = {}) {
+    const [xw, yw, zw] = whitePoint;
+    const rW = xw * 0.401288 + yw * 0.650173 + zw * -0.051461;
+    const gW = xw * -0.250268 + yw * 1.204414 + zw * 0.045854;
+    const bW = xw * -0.002079 + yw * 0.048952 + zw * 0.953127;
+    
+    const f = 0.8 + surround / 10;
+    const c = f >= 0.9
+      ? 0.59 + (0.69 - 0.59) * ((f - 0.9) * 10)
+      : 0.525 + (0.59 - 0.525) * ((f - 0.8) * 10);
+    
+    let d = discountingIlluminant
+      ? 1
+      : f * (1 - (1 / 3.6) * Math.exp((-adaptingLuminance - 42) / 92));
+    d = Math.max(0, Math.min(1, d));
+    
+    const rgbD = [
+      d * (100 / rW) + 1 - d,
+      d * (100 / gW) + 1 - d,
+      d * (100 / bW) + 1 - d
+    ];
+    
+    const k = 1 / (5 * adaptingLuminance + 1);
+    const k4 = k * k * k * k;
+    const k4F = 1 - k4;
+    const fl = k4 * adaptingLuminance + 0.1 * k4F * k4F * Math.cbrt(5 * adaptingLuminance);
+    
+    const n = M3HCTColor.yFromLstar(Math.max(0.1, backgroundLstar)) / yw;
+    const z = 1.48 + Math.sqrt(n);
+    const nbb = 0.725 / Math.pow(n, 0.2);
+    
+    const rgbAFactors = [rW, gW, bW].map((component, i) =>
+      Math.pow((fl * rgbD[i] * component) / 100, 0.42)
+    );
+    const rgbA = rgbAFactors.map(factor => (400 * factor) / (factor + 27.13));
+    const aw = (2 * rgbA[0] + rgbA[1] + 0.05 * rgbA[2]) * nbb;
+    
+    return new M3ViewingConditions({
+      n, aw, nbb, ncb: nbb, c, nc: f, rgbD, fl, flRoot: Math.pow(fl, 0.25), z
+    });
+  }
+
+  constructor(params) {
+    Object.assign(this, params);
+  }
+}
+
 class M3HCTColor {
-  constructor(hue, chroma, tone) {
+  constructor(hue, chroma, tone, viewingConditions = null) {
     this.hue = hue;
     this.chroma = chroma;
     this.tone = tone;
+    this._viewingConditions = viewingConditions;
   }
 
   /**
    * 从十六进制颜色创建HCT
    * @param {string} hex - 十六进制颜色 (#RRGGBB)
+   * @param {M3ViewingConditions} viewingConditions - 观察条件（可选）
    * @returns {M3HCTColor}
    */
-  static fromHex(hex) {
+  static fromHex(hex, viewingConditions = null) {
     const rgb = this.hexToRgb(hex);
-    const [h, c, t] = this.rgbToHct(rgb.r, rgb.g, rgb.b);
-    return new M3HCTColor(h, c, t);
+    return this.fromRgb(rgb.r, rgb.g, rgb.b, viewingConditions);
   }
 
   /**
@@ -25,118 +96,397 @@ class M3HCTColor {
    * @param {number} r - 红色 (0-255)
    * @param {number} g - 绿色 (0-255)
    * @param {number} b - 蓝色 (0-255)
+   * @param {M3ViewingConditions} viewingConditions - 观察条件（可选）
    * @returns {M3HCTColor}
    */
-  static fromRgb(r, g, b) {
-    const [h, c, t] = this.rgbToHct(r, g, b);
-    return new M3HCTColor(h, c, t);
+  static fromRgb(r, g, b, viewingConditions = null) {
+    const [h, c, t] = this.rgbToHct(r, g, b, viewingConditions || M3HCTColor.viewingConditions);
+    return new M3HCTColor(h, c, t, viewingConditions);
   }
 
   /**
-   * RGB转HCT（简化算法）
+   * RGB转HCT（CAM16色相/色度 + L*明度）
    * @param {number} r - 红色 (0-255)
    * @param {number} g - 绿色 (0-255)
    * @param {number} b - 蓝色 (0-255)
+   * @param {M3ViewingConditions} viewingConditions - 观察条件（可选）
    * @returns {Array} [hue, chroma, tone]
    */
-  static rgbToHct(r, g, b) {
-    // 归一化
-    const rNorm = r / 255;
-    const gNorm = g / 255;
-    const bNorm = b / 255;
+  static rgbToHct(r, g, b, viewingConditions = M3HCTColor.viewingConditions) {
+    const [x, y, z] = this.rgbToXyz(r, g, b);
+    const cam = this.xyzToCam16(x, y, z, viewingConditions);
+    
+    return [cam.hue, cam.chroma, this.lstarFromY(y)];
+  }
+
+  /**
+   * 按色相/色度/明度创建HCT，色度超出sRGB色域时取可达到的最大色度
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} chroma - 色度
+   * @param {number} tone - 明度 (0-100)
+   * @param {M3ViewingConditions} viewingConditions - 观察条件（可选）
+   * @returns {M3HCTColor} 实际落在色域内的颜色
+   */
+  static from(hue, chroma, tone, viewingConditions = null) {
+    const vc = viewingConditions || M3HCTColor.viewingConditions;
+    const rgb = this.solveToRgb(hue, chroma, tone, vc);
+    return this.fromRgb(rgb.r, rgb.g, rgb.b, viewingConditions);
+  }
+
+  /**
+   * HCT转RGB
+   * 色度超出色域时保持色相与明度不变，降低色度
+   * @returns {Object} {r, g, b}
+   */
+  toRgb() {
+    return M3HCTColor.solveToRgb(this.hue, this.chroma, this.tone, this.viewingConditions);
+  }
+
+  /**
+   * HCT求解器：求色相、明度精确且色度最高的sRGB颜色
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} chroma - 期望色度
+   * @param {number} tone - 明度 (0-100)
+   * @param {M3ViewingConditions} vc - 观察条件
+   * @returns {Object} {r, g, b}
+   */
+  static solveToRgb(hue, chroma, tone, vc = M3HCTColor.viewingConditions) {
+    tone = Math.max(0, Math.min(100, tone));
     
-    // RGB转XYZ
-    const x = 0.4124564 * rNorm + 0.3575761 * gNorm + 0.1804375 * bNorm;
-    const y = 0.2126729 * rNorm + 0.7151522 * gNorm + 0.0721750 * bNorm;
-    const z = 0.0193339 * rNorm + 0.1191920 * gNorm + 0.9503041 * bNorm;
+    // 无彩色或极端明度直接返回灰阶
+    if (chroma < 0.0001 || tone < 0.0001 || tone > 99.9999) {
+      return this.grayFromLstar(tone);
+    }
     
-    // XYZ转Lab
-    const xRef = 0.95047;
-    const yRef = 1.00000;
-    const zRef = 1.08883;
+    hue = this.sanitizeDegrees(hue);
     
-    const xRatio = x / xRef;
-    const yRatio = y / yRef;
-    const zRatio = z / zRef;
+    const exact = this.findLinearRgbByJ(hue, chroma, tone, vc);
+    if (exact) return this.linearRgbToRgb(exact);
     
-    const epsilon = 0.008856;
-    const kappa = 903.3;
+    // 超出色域：取等亮度平面与sRGB立方体交界上同色相的点（即该色相的最大色度）
+    const boundary = this.findBoundaryLinearRgb(hue, this.yFromLstar(tone), vc);
+    return boundary ? this.linearRgbToRgb(boundary) : this.grayFromLstar(tone);
+  }
+
+  /**
+   * 在等亮度平面的色域边界上查找指定色相的颜色
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} y - 相对亮度Y (0-100)
+   * @param {M3ViewingConditions} vc - 观察条件
+   * @returns {Array|null} 线性RGB (0-100)
+   */
+  static findBoundaryLinearRgb(hue, y, vc) {
+    const weights = [0.2126, 0.7152, 0.0722];
+    const hueOf = linear => this.xyzToCam16(...this.linearRgbToXyz(linear), vc).hue;
     
-    const fx = xRatio > epsilon ? Math.cbrt(xRatio) : (kappa * xRatio + 16) / 116;
-    const fy = yRatio > epsilon ? Math.cbrt(yRatio) : (kappa * yRatio + 16) / 116;
-    const fz = zRatio > epsilon ? Math.cbrt(zRatio) : (kappa * zRatio + 16) / 116;
+    // 等亮度平面与RGB立方体12条棱的交点构成凸多边形
+    const vertices = [];
+    for (let axis = 0; axis < 3; axis++) {
+      const [i1, i2] = [0, 1, 2].filter(index => index !== axis);
+      for (const v1 of [0, 100]) {
+        for (const v2 of [0, 100]) {
+          const value = (y - weights[i1] * v1 - weights[i2] * v2) / weights[axis];
+          if (value < 0 || value > 100) continue;
+          
+          const linear = [0, 0, 0];
+          linear[axis] = value;
+          linear[i1] = v1;
+          linear[i2] = v2;
+          vertices.push({ linear, hue: hueOf(linear) });
+        }
+      }
+    }
     
-    const L = 116 * fy - 16;
-    const a = 500 * (fx - fy);
-    const bLab = 200 * (fy - fz);
+    if (vertices.length === 0) return null;
+    vertices.sort((a, b) => a.hue - b.hue);
     
-    // Lab转LCh（简化版）
-    const C = Math.sqrt(a * a + bLab * bLab);
-    const hRad = Math.atan2(bLab, a);
-    let H = (hRad * 180) / Math.PI;
-    if (H < 0) H += 360;
+    // 找到色相区间包含目标色相的相邻顶点
+    const isBetween = (target, start, end) =>
+      this.sanitizeDegrees(target - start) <= this.sanitizeDegrees(end - start);
     
-    // 色调映射到0-360
-    const hue = H;
-    const chroma = C * 0.8; // 简化缩放
-    const tone = L;
+    let left = vertices[vertices.length - 1];
+    let right = vertices[0];
+    for (let i = 0; i < vertices.length - 1; i++) {
+      if (isBetween(hue, vertices[i].hue, vertices[i + 1].hue)) {
+        left = vertices[i];
+        right = vertices[i + 1];
+        break;
+      }
+    }
+    
+    // 沿多边形边二分逼近目标色相
+    let leftHue = left.hue;
+    let start = left.linear;
+    let end = right.linear;
+    for (let i = 0; i < 30; i++) {
+      const mid = start.map((component, index) => (component + end[index]) / 2);
+      const midHue = hueOf(mid);
+      
+      if (isBetween(hue, leftHue, midHue)) {
+        end = mid;
+      } else {
+        start = mid;
+        leftHue = midHue;
+      }
+    }
     
-    return [hue, chroma, tone];
+    return start.map((component, index) => (component + end[index]) / 2);
   }
 
   /**
-   * HCT转RGB
-   * @returns {Object} {r, g, b}
+   * 以L*为目标，迭代求解CAM16的J值
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} chroma - 色度
+   * @param {number} tone - 明度 (0-100)
+   * @param {M3ViewingConditions} vc - 观察条件
+   * @returns {Array|null} 线性RGB (0-100)，超出色域时返回null
    */
-  toRgb() {
-    // 简化的HCT转RGB算法
-    const hRad = (this.hue * Math.PI) / 180;
-    const a = this.chroma * Math.cos(hRad) / 0.8;
-    const b = this.chroma * Math.sin(hRad) / 0.8;
-    const L = this.tone;
-    
-    // Lab转XYZ
-    const fy = (L + 16) / 116;
-    const fx = fy + a / 500;
-    const fz = fy - b / 200;
-    
-    const xRef = 0.95047;
-    const yRef = 1.00000;
-    const zRef = 1.08883;
-    
-    const x = (fx ** 3 > 0.008856 ? fx ** 3 : (116 * fx - 16) / 903.3) * xRef;
-    const y = (fy ** 3 > 0.008856 ? fy ** 3 : (116 * fy - 16) / 903.3) * yRef;
-    const z = (fz ** 3 > 0.008856 ? fz ** 3 : (116 * fz - 16) / 903.3) * zRef;
-    
-    // XYZ转RGB
-    let r = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
-    let g = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
-    let bResult = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
-    
-    // 伽马校正
-    r = r > 0.0031308 ? 1.055 * (r ** (1 / 2.4)) - 0.055 : 12.92 * r;
-    g = g > 0.0031308 ? 1.055 * (g ** (1 / 2.4)) - 0.055 : 12.92 * g;
-    bResult = bResult > 0.0031308 ? 1.055 * (bResult ** (1 / 2.4)) - 0.055 : 12.92 * bResult;
-    
-    // 裁剪到[0,1]范围
-    r = Math.max(0, Math.min(1, r));
-    g = Math.max(0, Math.min(1, g));
-    bResult = Math.max(0, Math.min(1, bResult));
+  static findLinearRgbByJ(hue, chroma, tone, vc) {
+    const targetY = this.yFromLstar(tone);
+    let j = Math.sqrt(tone) * 11;
+    
+    for (let i = 0; i < 5; i++) {
+      const [x, y, z] = this.cam16ToXyz(j, chroma, hue, vc);
+      if (y <= 0) return null;
+      
+      if (i === 4 || Math.abs(y - targetY) < 0.002) {
+        const linear = this.xyzToLinearRgb(x, y, z);
+        const inGamut = linear.every(component => component >= -0.01 && component <= 100.01);
+        return inGamut ? linear : null;
+      }
+      
+      // 牛顿迭代逼近目标亮度
+      j -= (y - targetY) * j / (2 * y);
+    }
     
+    return null;
+  }
+
+  /**
+   * 线性RGB转sRGB
+   * @param {Array} linear - 线性RGB (0-100)
+   * @returns {Object} {r, g, b}
+   */
+  static linearRgbToRgb(linear) {
     return {
-      r: Math.round(r * 255),
-      g: Math.round(g * 255),
-      b: Math.round(bResult * 255)
+      r: this.delinearized(linear[0]),
+      g: this.delinearized(linear[1]),
+      b: this.delinearized(linear[2])
     };
   }
 
+  /**
+   * 当前颜色使用的观察条件
+   * @returns {M3ViewingConditions}
+   */
+  get viewingConditions() {
+    return this._viewingConditions || M3HCTColor.viewingConditions;
+  }
+
+  /**
+   * sRGB转XYZ（D65，0-100）
+   * @param {number} r - 红色 (0-255)
+   * @param {number} g - 绿色 (0-255)
+   * @param {number} b - 蓝色 (0-255)
+   * @returns {Array} [x, y, z]
+   */
+  static rgbToXyz(r, g, b) {
+    return this.linearRgbToXyz([r, g, b].map(component => this.linearized(component)));
+  }
+
+  /**
+   * 线性sRGB（0-100）转XYZ
+   * @param {Array} linear - 线性RGB
+   * @returns {Array} [x, y, z]
+   */
+  static linearRgbToXyz([r, g, b]) {
+    return [
+      0.41233895 * r + 0.35762064 * g + 0.18051042 * b,
+      0.2126 * r + 0.7152 * g + 0.0722 * b,
+      0.01932141 * r + 0.11916382 * g + 0.95034478 * b
+    ];
+  }
+
+  /**
+   * XYZ转线性sRGB（0-100）
+   * @param {number} x - X
+   * @param {number} y - Y
+   * @param {number} z - Z
+   * @returns {Array} [r, g, b]
+   */
+  static xyzToLinearRgb(x, y, z) {
+    return [
+      3.2413774792388685 * x - 1.5376652402851851 * y - 0.49885366846268053 * z,
+      -0.9691452513005321 * x + 1.8758853451067872 * y + 0.04156585616912061 * z,
+      0.05562093689691305 * x - 0.20395524564742123 * y + 1.0571799111220335 * z
+    ];
+  }
+
+  /**
+   * XYZ转CAM16
+   * @param {number} x - X
+   * @param {number} y - Y
+   * @param {number} z - Z
+   * @param {M3ViewingConditions} vc - 观察条件
+   * @returns {Object} {hue, chroma, j}
+   */
+  static xyzToCam16(x, y, z, vc = M3HCTColor.viewingConditions) {
+    // 转换到锥体响应空间并做色适应
+    const rC = 0.401288 * x + 0.650173 * y - 0.051461 * z;
+    const gC = -0.250268 * x + 1.204414 * y + 0.045854 * z;
+    const bC = -0.002079 * x + 0.048952 * y + 0.953127 * z;
+    
+    const rD = vc.rgbD[0] * rC;
+    const gD = vc.rgbD[1] * gC;
+    const bD = vc.rgbD[2] * bC;
+    
+    // 非线性压缩
+    const rAF = Math.pow((vc.fl * Math.abs(rD)) / 100, 0.42);
+    const gAF = Math.pow((vc.fl * Math.abs(gD)) / 100, 0.42);
+    const bAF = Math.pow((vc.fl * Math.abs(bD)) / 100, 0.42);
+    const rA = (Math.sign(rD) * 400 * rAF) / (rAF + 27.13);
+    const gA = (Math.sign(gD) * 400 * gAF) / (gAF + 27.13);
+    const bA = (Math.sign(bD) * 400 * bAF) / (bAF + 27.13);
+    
+    // 对立色坐标
+    const a = (11 * rA - 12 * gA + bA) / 11;
+    const b = (rA + gA - 2 * bA) / 9;
+    const u = (20 * rA + 20 * gA + 21 * bA) / 20;
+    const p2 = (40 * rA + 20 * gA + bA) / 20;
+    
+    const hue = this.sanitizeDegrees((Math.atan2(b, a) * 180) / Math.PI);
+    const ac = p2 * vc.nbb;
+    const j = 100 * Math.pow(ac / vc.aw, vc.c * vc.z);
+    
+    const huePrime = hue < 20.14 ? hue + 360 : hue;
+    const eHue = 0.25 * (Math.cos((huePrime * Math.PI) / 180 + 2) + 3.8);
+    const p1 = (50000 / 13) * eHue * vc.nc * vc.ncb;
+    const t = (p1 * Math.hypot(a, b)) / (u + 0.305);
+    const alpha = Math.pow(t, 0.9) * Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+    const chroma = alpha * Math.sqrt(j / 100);
+    
+    return { hue, chroma, j };
+  }
+
+  /**
+   * CAM16（J, C, h）转XYZ
+   * @param {number} j - CAM16明度J
+   * @param {number} chroma - CAM16色度
+   * @param {number} hue - 色相 (0-360)
+   * @param {M3ViewingConditions} vc - 观察条件
+   * @returns {Array} [x, y, z]
+   */
+  static cam16ToXyz(j, chroma, hue, vc = M3HCTColor.viewingConditions) {
+    const alpha = chroma === 0 || j === 0 ? 0 : chroma / Math.sqrt(j / 100);
+    const t = Math.pow(alpha / Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73), 1 / 0.9);
+    const hRad = (hue * Math.PI) / 180;
+    
+    const eHue = 0.25 * (Math.cos(hRad + 2) + 3.8);
+    const ac = vc.aw * Math.pow(j / 100, 1 / vc.c / vc.z);
+    const p1 = eHue * (50000 / 13) * vc.nc * vc.ncb;
+    const p2 = ac / vc.nbb;
+    
+    const hSin = Math.sin(hRad);
+    const hCos = Math.cos(hRad);
+    const gamma = (23 * (p2 + 0.305) * t) / (23 * p1 + 11 * t * hCos + 108 * t * hSin);
+    const a = gamma * hCos;
+    const b = gamma * hSin;
+    
+    const rA = (460 * p2 + 451 * a + 288 * b) / 1403;
+    const gA = (460 * p2 - 891 * a - 261 * b) / 1403;
+    const bA = (460 * p2 - 220 * a - 6300 * b) / 1403;
+    
+    const unadapt = (component, d) => {
+      const base = Math.max(0, (27.13 * Math.abs(component)) / (400 - Math.abs(component)));
+      return (Math.sign(component) * (100 / vc.fl) * Math.pow(base, 1 / 0.42)) / d;
+    };
+    
+    const rF = unadapt(rA, vc.rgbD[0]);
+    const gF = unadapt(gA, vc.rgbD[1]);
+    const bF = unadapt(bA, vc.rgbD[2]);
+    
+    return [
+      1.86206786 * rF - 1.01125463 * gF + 0.14918677 * bF,
+      0.38752654 * rF + 0.62144744 * gF - 0.00897398 * bF,
+      -0.0158415 * rF - 0.03412294 * gF + 1.04996444 * bF
+    ];
+  }
+
+  /**
+   * sRGB分量线性化
+   * @param {number} component - 分量 (0-255)
+   * @returns {number} 线性分量 (0-100)
+   */
+  static linearized(component) {
+    const normalized = component / 255;
+    if (normalized <= 0.040449936) {
+      return (normalized / 12.92) * 100;
+    }
+    return Math.pow((normalized + 0.055) / 1.055, 2.4) * 100;
+  }
+
+  /**
+   * 线性分量转sRGB
+   * @param {number} component - 线性分量 (0-100)
+   * @returns {number} 分量 (0-255)
+   */
+  static delinearized(component) {
+    const normalized = component / 100;
+    const delinearized = normalized <= 0.0031308
+      ? normalized * 12.92
+      : 1.055 * Math.pow(normalized, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(delinearized * 255)));
+  }
+
+  /**
+   * L*转相对亮度Y
+   * @param {number} lstar - L* (0-100)
+   * @returns {number} Y (0-100)
+   */
+  static yFromLstar(lstar) {
+    const ft = (lstar + 16) / 116;
+    const ft3 = ft * ft * ft;
+    return 100 * (ft3 > 216 / 24389 ? ft3 : (116 * ft - 16) / (24389 / 27));
+  }
+
+  /**
+   * 相对亮度Y转L*
+   * @param {number} y - Y (0-100)
+   * @returns {number} L* (0-100)
+   */
+  static lstarFromY(y) {
+    const t = y / 100;
+    const ft = t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+    return 116 * ft - 16;
+  }
+
+  /**
+   * 按L*生成灰阶颜色
+   * @param {number} lstar - L* (0-100)
+   * @returns {Object} {r, g, b}
+   */
+  static grayFromLstar(lstar) {
+    const component = this.delinearized(this.yFromLstar(lstar));
+    return { r: component, g: component, b: component };
+  }
+
+  /**
+   * 角度归一化到[0, 360)
+   * @param {number} degrees - 角度
+   * @returns {number}
+   */
+  static sanitizeDegrees(degrees) {
+    degrees %= 360;
+    return degrees < 0 ? degrees + 360 : degrees;
+  }
+
   /**
    * HCT转十六进制
    * @returns {string} 十六进制颜色
    */
   toHex() {
     const rgb = this.toRgb();
-    return this.rgbToHex(rgb.r, rgb.g, rgb.b);
+    return M3HCTColor.rgbToHex(rgb.r, rgb.g, rgb.b);
   }
 
   /**
@@ -220,17 +570,230 @@ class M3HCTColor {
     );
   }
 
+  /**
+   * 在HCT空间中插值两个颜色，色相沿最短方向旋转
+   * @param {M3HCTColor} from - 起始颜色
+   * @param {M3HCTColor} to - 目标颜色
+   * @param {number} amount - 插值比例 (0-1)
+   * @returns {string} 十六进制颜色
+   */
+  static interpolate(from, to, amount) {
+    // 接近灰色时色相没有意义，沿用另一端的色相
+    const fromHue = from.chroma < 1 ? to.hue : from.hue;
+    const toHue = to.chroma < 1 ? from.hue : to.hue;
+    const hueDelta = ((toHue - fromHue + 540) % 360) - 180;
+
+    const rgb = this.solveToRgb(
+      this.sanitizeDegrees(fromHue + hueDelta * amount),
+      from.chroma + (to.chroma - from.chroma) * amount,
+      from.tone + (to.tone - from.tone) * amount,
+      M3HCTColor.viewingConditions
+    );
+    return this.rgbToHex(rgb.r, rgb.g, rgb.b);
+  }
+
+  /**
+   * 将设计色的色相向种子色靠拢（最多旋转15°），保持色度与明度
+   * @param {string} designColor - 设计色（如品牌的成功/警告色）
+   * @param {string} sourceColor - 种子色
+   * @returns {string} 协调后的十六进制颜色
+   */
+  static harmonize(designColor, sourceColor) {
+    const from = this.fromHex(designColor);
+    const to = this.fromHex(sourceColor);
+    
+    const difference = 180 - Math.abs(Math.abs(from.hue - to.hue) - 180);
+    const rotation = Math.min(difference * 0.5, 15);
+    const direction = this.sanitizeDegrees(to.hue - from.hue) <= 180 ? 1 : -1;
+    
+    return M3HCTColor.from(from.hue + rotation * direction, from.chroma, from.tone).toHex();
+  }
+
+  /**
+   * 计算颜色的原始冷暖值（基于CIELAB色相与色度）
+   * @param {M3HCTColor} color - 颜色
+   * @returns {number} 冷暖值，越大越暖
+   */
+  static rawTemperature(color) {
+    const rgb = color.toRgb();
+    const [x, y, z] = this.rgbToXyz(rgb.r, rgb.g, rgb.b);
+    const labF = t => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+    
+    const fx = labF(x / 95.047);
+    const fy = labF(y / 100);
+    const fz = labF(z / 108.883);
+    const a = 500 * (fx - fy);
+    const b = 200 * (fy - fz);
+    
+    const hue = this.sanitizeDegrees((Math.atan2(b, a) * 180) / Math.PI);
+    const chroma = Math.hypot(a, b);
+    
+    return -0.5 + 0.02 * Math.pow(chroma, 1.07) *
+      Math.cos((this.sanitizeDegrees(hue - 50) * Math.PI) / 180);
+  }
+
+  /**
+   * 按色相(0-360)生成同色度、同明度的颜色，并计算冷暖范围
+   * 生成一次需要求解361个颜色，按色度与明度缓存最近用过的几张表
+   * @param {M3HCTColor} color - 基础颜色
+   * @returns {Object} { byHue, temps, coldest, warmest }
+   */
+  static temperatureTable(color) {
+    const key = `${color.chroma},${color.tone}`;
+    const cached = M3HCTColor.temperatureCache.get(key);
+    if (cached && cached.viewingConditions === M3HCTColor.viewingConditions) {
+      return cached;
+    }
+    
+    const byHue = [];
+    for (let hue = 0; hue <= 360; hue++) {
+      byHue.push(M3HCTColor.from(hue, color.chroma, color.tone));
+    }
+    
+    const temps = new Map(byHue.map(hct => [hct, this.rawTemperature(hct)]));
+    const sorted = byHue.slice().sort((a, b) => temps.get(a) - temps.get(b));
+    
+    const table = {
+      byHue,
+      temps,
+      coldest: sorted[0],
+      warmest: sorted[sorted.length - 1],
+      viewingConditions: M3HCTColor.viewingConditions
+    };
+    
+    M3HCTColor.temperatureCache.delete(key);
+    if (M3HCTColor.temperatureCache.size >= M3HCTColor.TEMPERATURE_CACHE_SIZE) {
+      M3HCTColor.temperatureCache.delete(M3HCTColor.temperatureCache.keys().next().value);
+    }
+    M3HCTColor.temperatureCache.set(key, table);
+    
+    return table;
+  }
+
+  /**
+   * 颜色在冷暖范围内的相对位置
+   * @param {Object} table - temperatureTable()的结果
+   * @param {M3HCTColor} color - 颜色
+   * @returns {number} 0（最冷）- 1（最暖）
+   */
+  static relativeTemperature(table, color) {
+    const coldestTemp = table.temps.get(table.coldest);
+    const range = table.temps.get(table.warmest) - coldestTemp;
+    const temp = table.temps.has(color) ? table.temps.get(color) : this.rawTemperature(color);
+    return range === 0 ? 0.5 : (temp - coldestTemp) / range;
+  }
+
+  /**
+   * 求冷暖意义上的互补色
+   * @param {M3HCTColor} color - 颜色
+   * @returns {M3HCTColor}
+   */
+  static complementOf(color) {
+    const table = this.temperatureTable(color);
+    const coldestHue = table.coldest.hue;
+    const warmestHue = table.warmest.hue;
+    const coldestTemp = table.temps.get(table.coldest);
+    const range = table.temps.get(table.warmest) - coldestTemp;
+    
+    const isBetween = (angle, a, b) => (a < b ? a <= angle && angle <= b : a <= angle || angle <= b);
+    const fromColdest = isBetween(color.hue, coldestHue, warmestHue);
+    const startHue = fromColdest ? warmestHue : coldestHue;
+    const endHue = fromColdest ? coldestHue : warmestHue;
+    const targetTemp = 1 - this.relativeTemperature(table, color);
+    
+    let answer = table.byHue[Math.round(color.hue)];
+    let smallestError = Infinity;
+    
+    for (let addend = 0; addend <= 360; addend++) {
+      const hue = this.sanitizeDegrees(startHue + addend);
+      if (!isBetween(hue, startHue, endHue)) continue;
+      
+      const candidate = table.byHue[Math.round(hue)];
+      const error = Math.abs(targetTemp - (table.temps.get(candidate) - coldestTemp) / range);
+      if (error < smallestError) {
+        smallestError = error;
+        answer = candidate;
+      }
+    }
+    
+    return answer;
+  }
+
+  /**
+   * 按冷暖均匀分布求类似色
+   * @param {M3HCTColor} color - 颜色
+   * @param {number} count - 返回数量（包含自身，位于中间）
+   * @param {number} divisions - 色轮划分数
+   * @returns {Array<M3HCTColor>}
+   */
+  static analogousOf(color, count = 5, divisions = 12) {
+    const table = this.temperatureTable(color);
+    const startHue = Math.round(color.hue);
+    const startHct = table.byHue[startHue];
+    
+    // 色轮一周的冷暖变化总量
+    let lastTemp = this.relativeTemperature(table, startHct);
+    let totalDelta = 0;
+    for (let i = 0; i < 360; i++) {
+      const temp = this.relativeTemperature(table, table.byHue[this.sanitizeDegrees(startHue + i)]);
+      totalDelta += Math.abs(temp - lastTemp);
+      lastTemp = temp;
+    }
+    
+    const step = totalDelta / divisions;
+    const colors = [startHct];
+    let accumulated = 0;
+    lastTemp = this.relativeTemperature(table, startHct);
+    
+    for (let addend = 1; colors.length < divisions; addend++) {
+      const hct = table.byHue[this.sanitizeDegrees(startHue + addend)];
+      const temp = this.relativeTemperature(table, hct);
+      accumulated += Math.abs(temp - lastTemp);
+      lastTemp = temp;
+      
+      // 与Material Color Utilities保持一致的分段方式
+      let satisfied = accumulated >= colors.length * step;
+      for (let indexAddend = 1; satisfied && colors.length < divisions; indexAddend++) {
+        colors.push(hct);
+        satisfied = accumulated >= (colors.length + indexAddend) * step;
+      }
+      
+      if (addend >= 360) {
+        while (colors.length < divisions) colors.push(hct);
+      }
+    }
+    
+    const answers = [color];
+    const ccwCount = Math.floor((count - 1) / 2);
+    for (let i = 1; i <= ccwCount; i++) {
+      answers.unshift(colors[(colors.length - (i % colors.length)) % colors.length]);
+    }
+    for (let i = 1; i <= count - ccwCount - 1; i++) {
+      answers.push(colors[i % colors.length]);
+    }
+    
+    return answers;
+  }
+
+  /**
+   * 修正普遍不受欢迎的暗黄绿色（提高明度）
+   * @param {M3HCTColor} color - 颜色
+   * @returns {M3HCTColor}
+   */
+  static fixIfDisliked(color) {
+    const hue = Math.round(color.hue);
+    const disliked = hue >= 90 && hue <= 111 && Math.round(color.chroma) > 16 && Math.round(color.tone) < 65;
+    return disliked ? M3HCTColor.from(color.hue, color.chroma, 70) : color;
+  }
+
   /**
    * 生成色调调色板
    * @param {M3HCTColor} color - 基础颜色
    * @returns {Array} 13个色调的调色板
    */
   static generateTonalPalette(color) {
-    const tones = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100];
-    return tones.map(tone => {
-      const newColor = new M3HCTColor(color.hue, color.chroma, tone);
-      return newColor.toHex();
-    });
+    const palette = M3TonalPalette.fromHct(color);
+    return M3TonalPalette.KEY_TONES.map(tone => palette.tone(tone));
   }
 
   /**
@@ -283,6 +846,54 @@ class M3HCTColor {
     return (lighter + 0.05) / (darker + 0.05);
   }
 
+  /**
+   * 计算两个明度(L*)之间的对比度
+   * @param {number} toneA - 明度 (0-100)
+   * @param {number} toneB - 明度 (0-100)
+   * @returns {number} 对比度比率
+   */
+  static ratioOfTones(toneA, toneB) {
+    const yA = this.yFromLstar(Math.max(0, Math.min(100, toneA)));
+    const yB = this.yFromLstar(Math.max(0, Math.min(100, toneB)));
+    return (Math.max(yA, yB) + 5) / (Math.min(yA, yB) + 5);
+  }
+
+  /**
+   * 求与给定明度达到目标对比度的更亮明度
+   * @param {number} tone - 基准明度 (0-100)
+   * @param {number} ratio - 目标对比度
+   * @returns {number} 明度，无法达到时返回-1
+   */
+  static lighterTone(tone, ratio) {
+    if (tone < 0 || tone > 100) return -1;
+    
+    const darkY = this.yFromLstar(tone);
+    const lightY = ratio * (darkY + 5) - 5;
+    if (lightY < 0 || lightY > 100) return -1;
+    
+    // 补偿取整误差
+    const result = this.lstarFromY(lightY) + 0.4;
+    return result < 0 || result > 100 ? -1 : result;
+  }
+
+  /**
+   * 求与给定明度达到目标对比度的更暗明度
+   * @param {number} tone - 基准明度 (0-100)
+   * @param {number} ratio - 目标对比度
+   * @returns {number} 明度，无法达到时返回-1
+   */
+  static darkerTone(tone, ratio) {
+    if (tone < 0 || tone > 100) return -1;
+    
+    const lightY = this.yFromLstar(tone);
+    const darkY = (lightY + 5) / ratio - 5;
+    if (darkY < 0 || darkY > 100) return -1;
+    
+    // 补偿取整误差
+    const result = this.lstarFromY(darkY) - 0.4;
+    return result < 0 || result > 100 ? -1 : result;
+  }
+
   /**
    * 计算相对亮度
    * @param {number} r - 红色
@@ -324,4 +935,131 @@ class M3HCTColor {
       return luminance > 0.5 ? '#000000' : '#FFFFFF';
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 色调调色板
+ * 固定色相与色度，按明度(0-100)取色，结果带缓存
+ */
+class M3TonalPalette {
+  /**
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} chroma - 色度
+   * @param {M3ViewingConditions} viewingConditions - 观察条件（可选）
+   */
+  constructor(hue, chroma, viewingConditions = null) {
+    this.hue = M3HCTColor.sanitizeDegrees(hue);
+    this.chroma = Math.max(0, chroma);
+    this.viewingConditions = viewingConditions;
+    this.cache = new Map();
+  }
+
+  /**
+   * 从色相和色度创建调色板
+   * @param {number} hue - 色相 (0-360)
+   * @param {number} chroma - 色度
+   * @returns {M3TonalPalette}
+   */
+  static fromHueAndChroma(hue, chroma) {
+    return new M3TonalPalette(hue, chroma);
+  }
+
+  /**
+   * 从HCT颜色创建调色板
+   * @param {M3HCTColor} hct - HCT颜色
+   * @returns {M3TonalPalette}
+   */
+  static fromHct(hct) {
+    return new M3TonalPalette(hct.hue, hct.chroma, hct._viewingConditions);
+  }
+
+  /**
+   * 从十六进制种子色创建调色板
+   * @param {string} hex - 十六进制颜色
+   * @returns {M3TonalPalette}
+   */
+  static fromHex(hex) {
+    return this.fromHct(M3HCTColor.fromHex(hex));
+  }
+
+  /**
+   * 获取指定明度的颜色
+   * @param {number} tone - 明度 (0-100，取整)
+   * @returns {string} 十六进制颜色
+   */
+  tone(tone) {
+    const key = Math.max(0, Math.min(100, Math.round(tone)));
+    
+    if (!this.cache.has(key)) {
+      const vc = this.viewingConditions || M3HCTColor.viewingConditions;
+      const rgb = M3HCTColor.solveToRgb(this.hue, this.chroma, key, vc);
+      this.cache.set(key, M3HCTColor.rgbToHex(rgb.r, rgb.g, rgb.b));
+    }
+    
+    return this.cache.get(key);
+  }
+
+  /**
+   * 获取指定明度的HCT颜色
+   * @param {number} tone - 明度 (0-100)
+   * @returns {M3HCTColor}
+   */
+  getHct(tone) {
+    return M3HCTColor.fromHex(this.tone(tone));
+  }
+
+  /**
+   * 按明度生成色调映射
+   * @param {Array} tones - 明度列表，默认为标准关键色调
+   * @returns {Object} { [tone]: hex }
+   */
+  tones(tones = M3TonalPalette.KEY_TONES) {
+    const map = {};
+    tones.forEach(tone => {
+      map[Math.round(tone)] = this.tone(tone);
+    });
+    return map;
+  }
+
+  /**
+   * 序列化
+   * @returns {Object} { hue, chroma, tones }
+   */
+  toJSON() {
+    return {
+      hue: this.hue,
+      chroma: this.chroma,
+      tones: this.tones()
+    };
+  }
+
+  /**
+   * 从序列化数据恢复
+   * @param {Object} data - toJSON()的结果
+   * @returns {M3TonalPalette}
+   */
+  static fromJSON(data) {
+    const palette = new M3TonalPalette(data.hue, data.chroma);
+    
+    // 预填已计算的色调，避免重复求解
+    if (data.tones) {
+      Object.entries(data.tones).forEach(([tone, hex]) => {
+        if (/^#[0-9A-F]{6}$/i.test(hex)) {
+          palette.cache.set(Number(tone), hex.toUpperCase());
+        }
+      });
+    }
+    
+    return palette;
+  }
+}
+
+// 标准关键色调
+M3TonalPalette.KEY_TONES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100];
+
+// 默认观察条件（sRGB标准环境，与Material Color Utilities一致）
+M3HCTColor.viewingConditions = M3ViewingConditions.make();
+
+// 冷暖表缓存（键为 "色度,明度"），超出容量时淘汰最早的表
+M3HCTColor.temperatureCache = new Map();
+M3HCTColor.TEMPERATURE_CACHE_SIZE = 8;
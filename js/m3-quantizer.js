@@ -0,0 +1,533 @@
+/**
+ * Material Design 3 - 颜色量化器
+ * 基于Google的Material Color Utilities：
+ * Wu算法做初始聚类，再以像素数量加权的k-means在Lab空间中细化（Celebi量化器）
+ * 颜色以 0xRRGGBB 整数表示
+ */
+class M3Quantizer {
+  /**
+   * 从RGBA像素数据量化颜色
+   * @param {Uint8ClampedArray|Array} pixels - RGBA像素数据
+   * @param {number} maxColors - 最大颜色数
+   * @param {Float32Array|Array} weights - 每个像素的权重 (0-1，可选，0表示忽略该像素)
+   * @returns {Map} 颜色(0xRRGGBB) -> 像素数量（加权）
+   */
+  static quantize(pixels, maxColors = 128, weights = null) {
+    const colorWeights = new Map();
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      // 忽略半透明像素
+      if (pixels[i + 3] < 255) continue;
+
+      // 权重换算为整数，避免累积矩中的浮点误差
+      const weight = weights ? Math.round(weights[i / 4] * M3Quantizer.WEIGHT_SCALE) : 1;
+      if (!(weight > 0)) continue;
+
+      const color = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+      colorWeights.set(color, (colorWeights.get(color) || 0) + weight);
+    }
+
+    const wuClusters = this.quantizeWu(colorWeights, maxColors);
+    return this.quantizeWsmeans(colorWeights, wuClusters, maxColors);
+  }
+
+  /**
+   * Wu颜色量化：在RGB直方图上按方差递归切分立方体
+   * @param {Map} colorWeights - 颜色(0xRRGGBB) -> 像素数量
+   * @param {number} maxColors - 最大颜色数
+   * @returns {Array} 聚类中心颜色
+   */
+  static quantizeWu(colorWeights, maxColors) {
+    const size = M3Quantizer.WU_TOTAL_SIZE;
+    const weights = new Array(size).fill(0);
+    const momentsR = new Array(size).fill(0);
+    const momentsG = new Array(size).fill(0);
+    const momentsB = new Array(size).fill(0);
+    const moments = new Array(size).fill(0);
+    const moment = { weights, momentsR, momentsG, momentsB, moments };
+
+    // 构建直方图
+    colorWeights.forEach((count, color) => {
+      const r = (color >> 16) & 0xff;
+      const g = (color >> 8) & 0xff;
+      const b = color & 0xff;
+      const index = this.wuIndex((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+
+      weights[index] += count;
+      momentsR[index] += count * r;
+      momentsG[index] += count * g;
+      momentsB[index] += count * b;
+      moments[index] += count * (r * r + g * g + b * b);
+    });
+
+    this.wuCreateMoments(moment);
+
+    // 切分立方体
+    const side = M3Quantizer.WU_SIDE_LENGTH;
+    const cubes = Array.from({ length: maxColors }, () => ({
+      r0: 0, r1: 0, g0: 0, g1: 0, b0: 0, b1: 0, vol: 0
+    }));
+    const variances = new Array(maxColors).fill(0);
+    cubes[0].r1 = cubes[0].g1 = cubes[0].b1 = side - 1;
+
+    let colorCount = maxColors;
+    let next = 0;
+
+    for (let i = 1; i < maxColors; i++) {
+      if (this.wuCut(cubes[next], cubes[i], moment)) {
+        variances[next] = cubes[next].vol > 1 ? this.wuVariance(cubes[next], moment) : 0;
+        variances[i] = cubes[i].vol > 1 ? this.wuVariance(cubes[i], moment) : 0;
+      } else {
+        variances[next] = 0;
+        i--;
+      }
+
+      next = 0;
+      let temp = variances[0];
+      for (let j = 1; j <= i; j++) {
+        if (variances[j] > temp) {
+          temp = variances[j];
+          next = j;
+        }
+      }
+
+      if (temp <= 0) {
+        colorCount = i + 1;
+        break;
+      }
+    }
+
+    // 取每个立方体的加权平均色
+    const result = [];
+    for (let i = 0; i < colorCount; i++) {
+      const weight = this.wuVolume(cubes[i], weights);
+      if (weight > 0) {
+        const r = Math.round(this.wuVolume(cubes[i], momentsR) / weight);
+        const g = Math.round(this.wuVolume(cubes[i], momentsG) / weight);
+        const b = Math.round(this.wuVolume(cubes[i], momentsB) / weight);
+        result.push((r << 16) | (g << 8) | b);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 加权k-means：以Wu结果为初始中心，在Lab空间中迭代
+   * 初始归属与参考实现（Java版 QuantizerWsmeans）一致：由固定种子的伪随机数分配
+   * @param {Map} colorWeights - 颜色(0xRRGGBB) -> 像素数量
+   * @param {Array} startingClusters - 初始聚类中心
+   * @param {number} maxColors - 最大颜色数
+   * @returns {Map} 颜色(0xRRGGBB) -> 像素数量
+   */
+  static quantizeWsmeans(colorWeights, startingClusters, maxColors) {
+    const uniqueColors = Array.from(colorWeights.keys());
+    const counts = uniqueColors.map(color => colorWeights.get(color));
+    const points = uniqueColors.map(color => this.labFromInt(color));
+
+    let clusterCount = Math.min(maxColors, points.length);
+    if (startingClusters.length > 0) {
+      clusterCount = Math.min(clusterCount, startingClusters.length);
+    }
+
+    const clusters = startingClusters.slice(0, clusterCount).map(color => this.labFromInt(color));
+    const distance = (a, b) =>
+      (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+    // 初始归属：随机分配，与参考实现使用同一种子，结果可复现
+    const random = this.createRandom(M3Quantizer.WSMEANS_RANDOM_SEED);
+    const clusterIndices = points.map(() => random(clusterCount));
+
+    const pixelCountSums = new Array(clusterCount).fill(0);
+
+    for (let iteration = 0; iteration < M3Quantizer.WSMEANS_MAX_ITERATIONS; iteration++) {
+      // 聚类中心之间的距离，用于三角不等式剪枝
+      const clusterDistances = clusters.map(a => clusters.map(b => distance(a, b)));
+      let pointsMoved = 0;
+
+      for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        const previousIndex = clusterIndices[i];
+        const previousDistance = distance(point, clusters[previousIndex]);
+        let minimumDistance = previousDistance;
+        let newIndex = -1;
+
+        for (let j = 0; j < clusterCount; j++) {
+          if (clusterDistances[previousIndex][j] >= 4 * previousDistance) continue;
+
+          const d = distance(point, clusters[j]);
+          if (d < minimumDistance) {
+            minimumDistance = d;
+            newIndex = j;
+          }
+        }
+
+        if (newIndex !== -1) {
+          const change = Math.abs(Math.sqrt(minimumDistance) - Math.sqrt(previousDistance));
+          if (change > M3Quantizer.WSMEANS_MIN_MOVEMENT) {
+            pointsMoved++;
+            clusterIndices[i] = newIndex;
+          }
+        }
+      }
+
+      if (pointsMoved === 0 && iteration !== 0) break;
+
+      // 以像素数量加权重新计算中心
+      const sums = clusters.map(() => [0, 0, 0]);
+      pixelCountSums.fill(0);
+
+      for (let i = 0; i < points.length; i++) {
+        const index = clusterIndices[i];
+        const count = counts[i];
+        pixelCountSums[index] += count;
+        sums[index][0] += points[i][0] * count;
+        sums[index][1] += points[i][1] * count;
+        sums[index][2] += points[i][2] * count;
+      }
+
+      for (let i = 0; i < clusterCount; i++) {
+        const count = pixelCountSums[i];
+        clusters[i] = count === 0
+          ? [0, 0, 0]
+          : [sums[i][0] / count, sums[i][1] / count, sums[i][2] / count];
+      }
+    }
+
+    const result = new Map();
+    for (let i = 0; i < clusterCount; i++) {
+      const count = pixelCountSums[i];
+      if (count === 0) continue;
+
+      const color = this.intFromLab(clusters[i]);
+      if (!result.has(color)) {
+        result.set(color, count);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 与 java.util.Random 相同的伪随机数序列（48位线性同余），返回 nextInt(bound)
+   * 48位状态拆为高低各24位，乘积不超过2^53，不依赖BigInt
+   * @param {number} seed - 种子（不超过24位）
+   * @returns {Function} bound => [0, bound) 内的整数
+   */
+  static createRandom(seed) {
+    const multiplierHigh = 0x5DE;
+    const multiplierLow = 0xECE66D;
+    const limb = 0x1000000;
+    let high = multiplierHigh;
+    let low = (seed ^ multiplierLow) & 0xFFFFFF;
+
+    const next31 = () => {
+      const product = low * multiplierLow + 0xB;
+      const carry = Math.floor(product / limb);
+      high = (high * multiplierLow + low * multiplierHigh + carry) % limb;
+      low = product % limb;
+      return Math.floor((high * limb + low) / 0x20000);
+    };
+
+    return (bound) => {
+      let value = next31();
+      if ((bound & (bound - 1)) === 0) {
+        return Math.floor((bound * value) / 0x80000000);
+      }
+
+      // 与Java相同的拒绝采样：避免取模偏差（Java中以int溢出为判断条件）
+      let candidate = value;
+      while (candidate - (value = candidate % bound) + (bound - 1) > 0x7FFFFFFF) {
+        candidate = next31();
+      }
+      return value;
+    };
+  }
+
+  /**
+   * 直方图索引
+   */
+  static wuIndex(r, g, b) {
+    return (r << 10) + (r << 6) + r + (g << 5) + g + b;
+  }
+
+  /**
+   * 将直方图转换为累积矩，便于O(1)求任意立方体的和
+   * @param {Object} moment - 各通道的矩数组
+   */
+  static wuCreateMoments({ weights, momentsR, momentsG, momentsB, moments }) {
+    const side = M3Quantizer.WU_SIDE_LENGTH;
+
+    for (let r = 1; r < side; r++) {
+      const area = new Array(side).fill(0);
+      const areaR = new Array(side).fill(0);
+      const areaG = new Array(side).fill(0);
+      const areaB = new Array(side).fill(0);
+      const area2 = new Array(side).fill(0);
+
+      for (let g = 1; g < side; g++) {
+        let line = 0;
+        let lineR = 0;
+        let lineG = 0;
+        let lineB = 0;
+        let line2 = 0;
+
+        for (let b = 1; b < side; b++) {
+          const index = this.wuIndex(r, g, b);
+          line += weights[index];
+          lineR += momentsR[index];
+          lineG += momentsG[index];
+          lineB += momentsB[index];
+          line2 += moments[index];
+
+          area[b] += line;
+          areaR[b] += lineR;
+          areaG[b] += lineG;
+          areaB[b] += lineB;
+          area2[b] += line2;
+
+          const previousIndex = this.wuIndex(r - 1, g, b);
+          weights[index] = weights[previousIndex] + area[b];
+          momentsR[index] = momentsR[previousIndex] + areaR[b];
+          momentsG[index] = momentsG[previousIndex] + areaG[b];
+          momentsB[index] = momentsB[previousIndex] + areaB[b];
+          moments[index] = moments[previousIndex] + area2[b];
+        }
+      }
+    }
+  }
+
+  /**
+   * 立方体的方差
+   */
+  static wuVariance(cube, moment) {
+    const dr = this.wuVolume(cube, moment.momentsR);
+    const dg = this.wuVolume(cube, moment.momentsG);
+    const db = this.wuVolume(cube, moment.momentsB);
+    const xx = this.wuVolume(cube, moment.moments);
+    const hypotenuse = dr * dr + dg * dg + db * db;
+    const volume = this.wuVolume(cube, moment.weights);
+    return xx - hypotenuse / volume;
+  }
+
+  /**
+   * 沿方差最大的方向切分立方体
+   * @returns {boolean} 是否切分成功
+   */
+  static wuCut(one, two, moment) {
+    const whole = {
+      r: this.wuVolume(one, moment.momentsR),
+      g: this.wuVolume(one, moment.momentsG),
+      b: this.wuVolume(one, moment.momentsB),
+      w: this.wuVolume(one, moment.weights)
+    };
+
+    const maxR = this.wuMaximize(one, 'red', one.r0 + 1, one.r1, whole, moment);
+    const maxG = this.wuMaximize(one, 'green', one.g0 + 1, one.g1, whole, moment);
+    const maxB = this.wuMaximize(one, 'blue', one.b0 + 1, one.b1, whole, moment);
+
+    let direction;
+    if (maxR.maximum >= maxG.maximum && maxR.maximum >= maxB.maximum) {
+      if (maxR.cutLocation < 0) return false;
+      direction = 'red';
+    } else if (maxG.maximum >= maxR.maximum && maxG.maximum >= maxB.maximum) {
+      direction = 'green';
+    } else {
+      direction = 'blue';
+    }
+
+    two.r1 = one.r1;
+    two.g1 = one.g1;
+    two.b1 = one.b1;
+
+    switch (direction) {
+      case 'red':
+        one.r1 = maxR.cutLocation;
+        two.r0 = one.r1;
+        two.g0 = one.g0;
+        two.b0 = one.b0;
+        break;
+      case 'green':
+        one.g1 = maxG.cutLocation;
+        two.r0 = one.r0;
+        two.g0 = one.g1;
+        two.b0 = one.b0;
+        break;
+      case 'blue':
+        one.b1 = maxB.cutLocation;
+        two.r0 = one.r0;
+        two.g0 = one.g0;
+        two.b0 = one.b1;
+        break;
+    }
+
+    one.vol = (one.r1 - one.r0) * (one.g1 - one.g0) * (one.b1 - one.b0);
+    two.vol = (two.r1 - two.r0) * (two.g1 - two.g0) * (two.b1 - two.b0);
+    return true;
+  }
+
+  /**
+   * 求某方向上使两侧方差和最大的切分位置
+   */
+  static wuMaximize(cube, direction, first, last, whole, moment) {
+    const bottomR = this.wuBottom(cube, direction, moment.momentsR);
+    const bottomG = this.wuBottom(cube, direction, moment.momentsG);
+    const bottomB = this.wuBottom(cube, direction, moment.momentsB);
+    const bottomW = this.wuBottom(cube, direction, moment.weights);
+
+    let maximum = 0;
+    let cutLocation = -1;
+
+    for (let i = first; i < last; i++) {
+      let halfR = bottomR + this.wuTop(cube, direction, i, moment.momentsR);
+      let halfG = bottomG + this.wuTop(cube, direction, i, moment.momentsG);
+      let halfB = bottomB + this.wuTop(cube, direction, i, moment.momentsB);
+      let halfW = bottomW + this.wuTop(cube, direction, i, moment.weights);
+      if (halfW === 0) continue;
+
+      let temp = (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+
+      halfR = whole.r - halfR;
+      halfG = whole.g - halfG;
+      halfB = whole.b - halfB;
+      halfW = whole.w - halfW;
+      if (halfW === 0) continue;
+
+      temp += (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+
+      if (temp > maximum) {
+        maximum = temp;
+        cutLocation = i;
+      }
+    }
+
+    return { cutLocation, maximum };
+  }
+
+  /**
+   * 立方体内的累积和
+   */
+  static wuVolume(cube, moment) {
+    const { r0, r1, g0, g1, b0, b1 } = cube;
+    return moment[this.wuIndex(r1, g1, b1)] -
+      moment[this.wuIndex(r1, g1, b0)] -
+      moment[this.wuIndex(r1, g0, b1)] +
+      moment[this.wuIndex(r1, g0, b0)] -
+      moment[this.wuIndex(r0, g1, b1)] +
+      moment[this.wuIndex(r0, g1, b0)] +
+      moment[this.wuIndex(r0, g0, b1)] -
+      moment[this.wuIndex(r0, g0, b0)];
+  }
+
+  /**
+   * 立方体在某方向下边界一侧的累积和
+   */
+  static wuBottom(cube, direction, moment) {
+    const { r0, r1, g0, g1, b0, b1 } = cube;
+
+    switch (direction) {
+      case 'red':
+        return -moment[this.wuIndex(r0, g1, b1)] +
+          moment[this.wuIndex(r0, g1, b0)] +
+          moment[this.wuIndex(r0, g0, b1)] -
+          moment[this.wuIndex(r0, g0, b0)];
+      case 'green':
+        return -moment[this.wuIndex(r1, g0, b1)] +
+          moment[this.wuIndex(r1, g0, b0)] +
+          moment[this.wuIndex(r0, g0, b1)] -
+          moment[this.wuIndex(r0, g0, b0)];
+      default:
+        return -moment[this.wuIndex(r1, g1, b0)] +
+          moment[this.wuIndex(r1, g0, b0)] +
+          moment[this.wuIndex(r0, g1, b0)] -
+          moment[this.wuIndex(r0, g0, b0)];
+    }
+  }
+
+  /**
+   * 立方体在某方向指定位置处的累积和
+   */
+  static wuTop(cube, direction, position, moment) {
+    const { r0, r1, g0, g1, b0, b1 } = cube;
+
+    switch (direction) {
+      case 'red':
+        return moment[this.wuIndex(position, g1, b1)] -
+          moment[this.wuIndex(position, g1, b0)] -
+          moment[this.wuIndex(position, g0, b1)] +
+          moment[this.wuIndex(position, g0, b0)];
+      case 'green':
+        return moment[this.wuIndex(r1, position, b1)] -
+          moment[this.wuIndex(r1, position, b0)] -
+          moment[this.wuIndex(r0, position, b1)] +
+          moment[this.wuIndex(r0, position, b0)];
+      default:
+        return moment[this.wuIndex(r1, g1, position)] -
+          moment[this.wuIndex(r1, g0, position)] -
+          moment[this.wuIndex(r0, g1, position)] +
+          moment[this.wuIndex(r0, g0, position)];
+    }
+  }
+
+  /**
+   * 0xRRGGBB 转 Lab
+   * @param {number} color - 颜色
+   * @returns {Array} [L, a, b]
+   */
+  static labFromInt(color) {
+    const [x, y, z] = M3HCTColor.rgbToXyz((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+    const labF = t => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+
+    const fx = labF(x / 95.047);
+    const fy = labF(y / 100);
+    const fz = labF(z / 108.883);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * Lab 转 0xRRGGBB
+   * @param {Array} lab - [L, a, b]
+   * @returns {number} 颜色
+   */
+  static intFromLab([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+    const labInvF = ft => {
+      const ft3 = ft * ft * ft;
+      return ft3 > 216 / 24389 ? ft3 : (116 * ft - 16) / (24389 / 27);
+    };
+
+    const linear = M3HCTColor.xyzToLinearRgb(
+      labInvF(fx) * 95.047,
+      labInvF(fy) * 100,
+      labInvF(fz) * 108.883
+    );
+    const [r, g, bl] = linear.map(component => M3HCTColor.delinearized(component));
+
+    return (r << 16) | (g << 8) | bl;
+  }
+
+  /**
+   * 0xRRGGBB 转十六进制字符串
+   * @param {number} color - 颜色
+   * @returns {string}
+   */
+  static intToHex(color) {
+    return M3HCTColor.rgbToHex((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+  }
+}
+
+// Wu直方图：每通道5位，边长33（含0边界）
+M3Quantizer.WU_SIDE_LENGTH = 33;
+M3Quantizer.WU_TOTAL_SIZE = 35937;
+
+// 加权量化时权重的精度（1/100）
+M3Quantizer.WEIGHT_SCALE = 100;
+
+// k-means迭代参数
+M3Quantizer.WSMEANS_MAX_ITERATIONS = 10;
+M3Quantizer.WSMEANS_MIN_MOVEMENT = 3;
+// 初始归属的随机种子（与参考实现一致）
+M3Quantizer.WSMEANS_RANDOM_SEED = 0x42688;
@@ -2,47 +2,353 @@
  * Material Design 3 - 增强版主题引擎
  * 支持动态色彩、壁纸取色、主题保存等高级功能
  */
+
+/**
+ * 导入主题失败时抛出的错误
+ * code 取值见 M3ThemeImportError.UNSUPPORTED_FORMAT 等常量
+ */
+class M3ThemeImportError extends Error {
+  /**
+   * @param {string} code - 错误类型
+   * @param {string} message - 错误信息
+   * @param {Object} details - { format, cause }
+   */
+  constructor(code, message, { format = null, cause = null } = {}) {
+    super(message);
+    this.name = 'M3ThemeImportError';
+    this.code = code;
+    this.format = format;
+    this.cause = cause;
+  }
+}
+
+// 无法识别内容格式，或指定了不支持的格式
+M3ThemeImportError.UNSUPPORTED_FORMAT = 'unsupported-format';
+// 内容无法解析（如JSON语法错误）
+M3ThemeImportError.INVALID_SYNTAX = 'invalid-syntax';
+// 内容可以解析，但缺少种子色/主色或颜色值无效
+M3ThemeImportError.INVALID_THEME = 'invalid-theme';
+
 class M3ThemeEngine {
-  constructor() {
+  /**
+   * 创建主题引擎；默认不读写页面和存储，需要时调用 init()
+   * @param {Object} options - 选项
+   * @param {HTMLElement} options.target - 主题应用的根元素，默认 document.documentElement；
+   *   指定后主题变化事件在该元素上触发而不是 window
+   * @param {string|Object} options.storage - 主题设置的存储：'local' | 'session' | 'indexeddb' |
+   *   'cookie' | 'memory' 或自定义适配器，见 M3ThemeStorage
+   * @param {string|Object} options.wallpaperStorage - 壁纸的存储，默认支持时使用IndexedDB以保存图片Blob
+   * @param {string|null} options.storageKey - 存储键名，null 表示不保存
+   * @param {string|null} options.wallpaperStorageKey - 壁纸的存储键名，默认由 storageKey 派生
+   * @param {string|null} options.modeStorageKey - 主题模式的存储键名，默认由 storageKey 派生
+   * @param {string|null} options.scheduleStorageKey - 定时切换设置的存储键名，默认由 storageKey 派生
+   * @param {boolean} options.autoApply - 创建后立即 init()：加载保存的主题或应用默认主题
+   * @param {boolean} options.followSystem - 没有保存的主题模式时默认跟随系统亮色/暗色偏好
+   * @param {string} options.themeMode - 没有保存的主题模式时的默认模式，见 THEME_MODES
+   * @param {Object} options.schedule - 没有保存的定时设置时的默认值，见 setSchedule
+   * @param {boolean} options.syncTabs - init() 后与使用同一 storageKey 的其他标签页同步主题
+   */
+  constructor({
+    target = null,
+    storage = 'local',
+    wallpaperStorage = M3ThemeStorage.hasIndexedDB() ? 'indexeddb' : storage,
+    storageKey = M3ThemeEngine.DEFAULT_STORAGE_KEY,
+    wallpaperStorageKey = storageKey === M3ThemeEngine.DEFAULT_STORAGE_KEY
+      ? M3ThemeEngine.DEFAULT_WALLPAPER_STORAGE_KEY
+      : storageKey && `${storageKey}-wallpaper`,
+    modeStorageKey = storageKey === M3ThemeEngine.DEFAULT_STORAGE_KEY
+      ? M3ThemeEngine.DEFAULT_MODE_STORAGE_KEY
+      : storageKey && `${storageKey}-mode`,
+    scheduleStorageKey = storageKey === M3ThemeEngine.DEFAULT_STORAGE_KEY
+      ? M3ThemeEngine.DEFAULT_SCHEDULE_STORAGE_KEY
+      : storageKey && `${storageKey}-schedule`,
+    autoApply = false,
+    followSystem = false,
+    themeMode = followSystem ? 'system' : 'light',
+    schedule = M3ThemeEngine.DEFAULT_SCHEDULE,
+    syncTabs = true
+  } = {}) {
+    this.target = target;
+    this.storage = M3ThemeStorage.create(storage);
+    this.wallpaperStorage = wallpaperStorage === storage
+      ? this.storage
+      : M3ThemeStorage.create(wallpaperStorage);
+    this.storageKey = storageKey;
+    this.wallpaperStorageKey = wallpaperStorageKey;
+    this.modeStorageKey = modeStorageKey;
+    this.scheduleStorageKey = scheduleStorageKey;
+    this.syncTabs = syncTabs;
+    this.defaultThemeMode = M3ThemeEngine.THEME_MODES.includes(themeMode) ? themeMode : 'light';
+    this.defaultSchedule = M3ThemeEngine.normalizeSchedule(schedule);
+    
+    this.themeMode = this.defaultThemeMode;
+    this.schedule = this.defaultSchedule;
+    this.scheduleWatcher = null;
     this.currentSeed = '#6750A4';
     this.isDark = false;
+    this.variant = 'tonalSpot';
+    this.contrastLevel = 0;
+    this.customColors = [];
     this.customSchemes = new Map();
     this.currentScheme = null;
+    this.appliedScheme = null;
+    this.transition = null;
+    this.fade = null;
+    this.mediaFollower = null;
+    // applyImageTheme 的取色请求，新的请求取消本引擎未完成的旧请求
+    this.imageExtraction = null;
+    this.wallpaperPreviewUrl = null;
+    
+    // 每个元素上由引擎写入的CSS变量，用于切换方案时清理
+    this.appliedProperties = new WeakMap();
+    this.systemThemeListener = null;
+    
+    // 其他标签页的同步通道；应用其他标签页的变化时不再保存和广播，避免循环
+    this.tabSync = null;
+    this.applyingRemote = false;
+    // init() 恢复保存的状态期间不广播
+    this.initializing = false;
+    // 主题设置存储中每个键最近读到或写入的值，未变化时不重复写入和广播
+    this.storedValues = new Map();
+    
+    // init() 完成时解析为引擎本身
+    this.ready = Promise.resolve(this);
     
-    // 初始化CSS变量
-    this.initCSSVariables();
+    if (autoApply) {
+      this.init();
+    }
+  }
+  
+  /**
+   * 应用初始主题：优先加载保存的主题，否则应用默认方案，再按主题模式确定亮色/暗色
+   * 使用 localStorage 时在页面首次绘制前完成，不会闪烁
+   * @returns {Promise<M3ThemeEngine>} 完成后解析为引擎本身，同时保存在 this.ready
+   */
+  init() {
+    if (this.syncTabs) {
+      this.watchOtherTabs();
+    }
+    
+    this.initializing = true;
+    this.ready = Promise.all([
+      this.loadFromStorage(),
+      this.readStorage(this.modeStorageKey),
+      this.readStorage(this.scheduleStorageKey)
+    ]).then(([saved, savedMode, savedSchedule]) => {
+      if (savedSchedule) {
+        try {
+          this.schedule = M3ThemeEngine.normalizeSchedule(JSON.parse(savedSchedule));
+        } catch (e) {
+          console.warn('Failed to load theme schedule from storage:', e);
+        }
+      }
+      
+      // 旧版本只保存了主题数据：视为用户手动选择了当时的亮色/暗色
+      if (M3ThemeEngine.THEME_MODES.includes(savedMode)) {
+        this.themeMode = savedMode;
+      } else if (saved) {
+        this.themeMode = saved.isDark ? 'dark' : 'light';
+      }
+      
+      if (!saved) {
+        this.isDark = this.resolveThemeMode();
+        this.initCSSVariables();
+      }
+      
+      this.syncThemeMode();
+      this.initializing = false;
+      return this;
+    });
     
-    // 监听系统主题变化
-    this.watchSystemTheme();
+    return this.ready;
   }
   
   /**
    * 初始化CSS变量
    */
   initCSSVariables() {
-    const root = document.documentElement;
-    
     // 确保所有CSS变量都已定义
     const defaultScheme = this.generateSchemeFromSeed(this.currentSeed, this.isDark);
     this.applyScheme(defaultScheme);
   }
   
+  /**
+   * 停止引擎：移除系统主题监听、媒体跟随和进行中的过渡，已写入的变量保持不变
+   */
+  destroy() {
+    this.unwatchSystemTheme();
+    this.unwatchSchedule();
+    this.unwatchOtherTabs();
+    this.stopFollowingMedia();
+    this.cancelImageExtraction();
+    this.cancelTransition();
+  }
+  
+  /**
+   * 主题应用的根元素
+   * @returns {HTMLElement}
+   */
+  getRoot() {
+    return this.target || document.documentElement;
+  }
+  
+  /**
+   * 主题事件的派发目标：指定了根元素时为该元素，否则为 window
+   * @returns {EventTarget}
+   */
+  getEventTarget() {
+    return this.target || window;
+  }
+  
+  /**
+   * 读取存储，未配置键名或存储不可用时解析为 null
+   * @param {string|null} key - 键名
+   * @param {Object} storage - 存储适配器，默认为主题设置的存储
+   * @returns {Promise<*>}
+   */
+  readStorage(key, storage = this.storage) {
+    if (!key) return Promise.resolve(null);
+    
+    return Promise.resolve()
+      .then(() => storage.get(key))
+      .then((value) => {
+        const result = value === undefined ? null : value;
+        if (storage === this.storage) {
+          this.storedValues.set(key, result);
+        }
+        return result;
+      })
+      .catch((e) => {
+        console.warn('Failed to read theme from storage:', e);
+        return null;
+      });
+  }
+  
+  /**
+   * 写入存储，value 为 null 时删除该项；写入失败只给出警告
+   * 与最近读到或写入的值相同时不写入也不广播
+   * @param {string|null} key - 键名
+   * @param {*} value - 值
+   * @param {Object} storage - 存储适配器，默认为主题设置的存储
+   * @param {*} compareValue - 用于判断是否变化的值，默认为 value（如去掉时间戳的主题数据）
+   * @returns {Promise<void>}
+   */
+  writeStorage(key, value, storage = this.storage, compareValue = value) {
+    if (!key) return Promise.resolve();
+    
+    if (storage === this.storage) {
+      if (this.storedValues.has(key) && this.storedValues.get(key) === compareValue) {
+        return Promise.resolve();
+      }
+      this.storedValues.set(key, compareValue);
+    }
+    
+    if (this.applyingRemote) return Promise.resolve();
+    
+    // 通知其他标签页（壁纸图片不广播，只在需要时读取；初始化时恢复的状态不广播）
+    if (this.tabSync && this.tabSync.channel && !this.initializing &&
+        key !== this.wallpaperStorageKey) {
+      this.tabSync.channel.postMessage({ key, value });
+    }
+    
+    return Promise.resolve()
+      .then(() => (value === null ? storage.remove(key) : storage.set(key, value)))
+      .catch((e) => {
+        console.warn('Failed to save theme to storage:', e);
+      });
+  }
+  
+  /**
+   * 与其他标签页同步主题：优先使用 BroadcastChannel，不支持时监听 storage 事件
+   */
+  watchOtherTabs() {
+    if (this.tabSync || !this.storageKey) return;
+    
+    if (typeof BroadcastChannel === 'function') {
+      const channel = new BroadcastChannel(`m3-theme:${this.storageKey}`);
+      channel.onmessage = (e) => this.applyStorageChange(e.data.key, e.data.value);
+      this.tabSync = { channel, stop: () => channel.close() };
+      return;
+    }
+    
+    // 没有 BroadcastChannel 时只能感知其他标签页对 localStorage/sessionStorage 的修改
+    if (!(this.storage instanceof M3WebStorageAdapter)) return;
+    
+    const listener = (e) => {
+      if (e.storageArea === this.storage.storage) {
+        this.applyStorageChange(e.key, e.newValue);
+      }
+    };
+    window.addEventListener('storage', listener);
+    this.tabSync = { channel: null, stop: () => window.removeEventListener('storage', listener) };
+  }
+  
+  /**
+   * 停止与其他标签页同步
+   */
+  unwatchOtherTabs() {
+    if (this.tabSync) {
+      this.tabSync.stop();
+      this.tabSync = null;
+    }
+  }
+  
+  /**
+   * 应用其他标签页保存的变化，期间不保存也不广播
+   * @param {string} key - 存储键名
+   * @param {string|null} value - 新值，null 表示已删除
+   */
+  applyStorageChange(key, value) {
+    if (value === null) return;
+    
+    this.storedValues.set(key, value);
+    this.applyingRemote = true;
+    try {
+      if (key === this.storageKey) {
+        this.restoreThemeData(JSON.parse(value));
+      } else if (key === this.modeStorageKey && M3ThemeEngine.THEME_MODES.includes(value)) {
+        this.themeMode = value;
+        this.syncThemeMode();
+      } else if (key === this.scheduleStorageKey) {
+        this.schedule = M3ThemeEngine.normalizeSchedule(JSON.parse(value));
+        this.unwatchSchedule();
+        this.syncThemeMode();
+      }
+    } catch (e) {
+      console.warn('Failed to apply theme from another tab:', e);
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+  
   /**
    * 从种子色生成完整色彩方案
    * @param {string} seedColor - 种子颜色
    * @param {boolean} isDark - 是否为暗色模式
+   * @param {string} variant - 方案变体（tonalSpot、vibrant、expressive等），默认沿用当前变体
+   * @param {Array} customColors - 自定义颜色 [{ name, value, harmonize }]，默认沿用当前列表
    * @returns {Object} 色彩方案
    */
-  generateSchemeFromSeed(seedColor, isDark = false) {
+  generateSchemeFromSeed(seedColor, isDark = false, variant = this.variant,
+                         customColors = this.customColors) {
+    if (!M3ColorExtractor.SCHEME_VARIANTS.includes(variant)) {
+      console.warn(`Unknown scheme variant "${variant}", falling back to tonalSpot`);
+      variant = 'tonalSpot';
+    }
+    
     this.currentSeed = seedColor;
     this.isDark = isDark;
+    this.variant = variant;
+    this.customColors = M3ColorExtractor.normalizeCustomColors(customColors);
     
     // 使用HCT算法生成方案
-    const scheme = M3ColorExtractor.generateSchemeFromColor(seedColor, isDark);
+    const scheme = M3ColorExtractor.generateSchemeFromColor(
+      seedColor, isDark, variant, this.contrastLevel, this.customColors
+    );
     this.currentScheme = scheme;
     
     // 保存到自定义方案
-    const schemeKey = `${seedColor}-${isDark ? 'dark' : 'light'}`;
+    const schemeKey = `${seedColor}-${variant}-${this.contrastLevel}-${isDark ? 'dark' : 'light'}`;
     this.customSchemes.set(schemeKey, scheme);
     
     return scheme;
@@ -53,233 +359,1292 @@ class M3ThemeEngine {
    * @param {string} imageUrl - 图片URL
    * @param {boolean} isDark - 是否为暗色模式
    * @param {Function} callback - 回调函数
+   * @param {string} variant - 方案变体，默认沿用当前变体
+   * @param {Object|number} options - 取色选项，见 generateSchemeFromImageAsync
    */
-  generateSchemeFromImage(imageUrl, isDark = false, callback) {
-    M3ColorExtractor.extractFromImageUrl(imageUrl, (colors) => {
-      if (colors.length === 0) {
-        console.error('未能从图片中提取颜色');
+  generateSchemeFromImage(imageUrl, isDark = false, callback, variant = this.variant, options = {}) {
+    this.generateSchemeFromImageAsync(imageUrl, isDark, variant, options).then(
+      (scheme) => {
+        if (callback) callback(scheme);
+      },
+      (error) => {
+        console.error('未能从图片中提取颜色:', error.message);
         if (callback) callback(null);
-        return;
       }
-      
-      const primaryColor = M3ColorExtractor.extractPrimaryColor(colors);
-      const scheme = this.generateSchemeFromSeed(primaryColor, isDark);
+    );
+  }
+  
+  /**
+   * 从图片生成色彩方案（Promise版本）
+   * @param {*} image - 图片URL或其他图片源，见 M3ColorExtractor.extract
+   * @param {boolean} isDark - 是否为暗色模式
+   * @param {string} variant - 方案变体，默认沿用当前变体
+   * @param {Object|number} options - { candidateIndex, signal, region, weight, ignoreExtremes, sampleSize }；
+   *   candidateIndex 为种子色候选序号（默认0，即得分最高的颜色），也可直接传入数字，
+   *   其余见 M3ColorExtractor.extract
+   * @returns {Promise<Object>} 色彩方案，失败时以 M3ExtractionError 拒绝
+   */
+  generateSchemeFromImageAsync(image, isDark = false, variant = this.variant, options = {}) {
+    const { candidateIndex = 0, ...extractOptions } =
+      typeof options === 'number' ? { candidateIndex: options } : options;
+    
+    return this.getImageSeedOptions(image, extractOptions).then((candidates) => {
+      const colors = candidates.map(candidate => candidate.color);
+      const index = candidates[candidateIndex] ? candidateIndex : 0;
+      const scheme = this.generateSchemeFromSeed(colors[index], isDark, variant);
       
       // 保存图片相关信息
       scheme.source = 'image';
-      scheme.imageUrl = imageUrl;
+      scheme.imageUrl = typeof image === 'string' ? image : null;
       scheme.extractedColors = colors;
+      scheme.seedCandidates = candidates;
+      scheme.candidateIndex = index;
       
-      if (callback) callback(scheme);
+      return scheme;
     });
   }
   
+  /**
+   * 获取壁纸的种子色候选，按得分降序排列
+   * @param {*} image - 图片URL或其他图片源，见 M3ColorExtractor.extract
+   * @param {Object} options - 取色选项（选区、权重蒙版等），见 M3ColorExtractor.extract
+   * @returns {Promise<Array>} [{ color, score, population, hue, chroma, tone }]，
+   *   失败时以 M3ExtractionError 拒绝
+   */
+  getImageSeedOptions(image, options = {}) {
+    return M3ColorExtractor.extract(image, options);
+  }
+  
   /**
    * 应用色彩方案到页面
    * @param {Object} scheme - 色彩方案
+   * @param {Object} options - 选项
+   * @param {HTMLElement} options.target - 只应用到该元素及其后代；
+   *   局部方案不改变全局主题、不保存到本地存储，变化事件只在该元素上触发
+   * @param {string|boolean} options.transition - 过渡动画：'interpolate'（或true）按HCT逐帧插值各颜色角色，
+   *   'reveal' 以View Transitions从 origin 圆形展开整个页面（不支持或引擎只作用于局部元素时退回插值），'fade' 使用 .theme-transition 渐变；
+   *   用户开启“减少动态效果”时直接切换，只作用于引擎的根元素
+   * @param {number} options.duration - 过渡时长（毫秒），默认读取 --m3-motion-duration-long-2
+   * @param {HTMLElement|Object} options.origin - 展开动画的圆心：元素（取其中心）或 { x, y }，默认视口中心
+   * @param {boolean} options.persist - 保存到存储并同步到其他标签页；false 时只改变本页显示
+   * @returns {Promise<Object>} 方案应用完成（含过渡动画）后解析为该方案
    */
-  applyScheme(scheme) {
-    if (!scheme) return;
+  applyScheme(scheme, { target = null, transition = null, duration, origin = null, persist = true } = {}) {
+    if (!scheme) return Promise.resolve(scheme);
+    
+    const root = this.getRoot();
+    if (target && target !== root) {
+      this.applySchemeToElement(scheme, target);
+      target.dispatchEvent(new CustomEvent('m3-theme-change', {
+        detail: { scheme, isDark: this.isDarkScheme(scheme), scoped: true }
+      }));
+      return Promise.resolve(scheme);
+    }
+    
+    if (transition && !this.prefersReducedMotion()) {
+      return this.animateScheme(scheme, transition, {
+        duration: duration === undefined ? this.getMotionDuration() : duration,
+        origin,
+        persist
+      });
+    }
+    
+    // 直接应用时中止进行中的插值，避免后续帧覆盖新方案
+    this.cancelTransition();
+    
+    // 外部传入的方案没有种子信息，以primary作为种子
+    if (scheme !== this.currentScheme && scheme.primary) {
+      this.currentSeed = scheme.primary;
+    }
     
     this.currentScheme = scheme;
+    this.appliedScheme = scheme;
+    this.applySchemeToElement(scheme, root);
+    this.isDark = this.isDarkScheme(scheme);
+    
+    // 保存到存储
+    if (persist) {
+      this.saveToStorage();
+    }
+    
+    // 触发主题变化事件
+    this.dispatchThemeChange();
+    
+    return Promise.resolve(scheme);
+  }
+  
+  /**
+   * 以指定的过渡动画应用方案
+   * @param {Object} scheme - 目标方案
+   * @param {string|boolean} transition - 过渡类型，见 applyScheme
+   * @param {Object} options - { duration, origin, persist }
+   * @returns {Promise<Object>} 过渡结束后解析为目标方案
+   */
+  animateScheme(scheme, transition, { duration, origin, persist }) {
+    // View Transitions 只能对整个文档截图，局部根元素上无法只展开该元素
+    if (transition === 'reveal' && typeof document.startViewTransition === 'function' &&
+        this.getRoot() === document.documentElement) {
+      return this.revealScheme(scheme, { duration, origin, persist });
+    }
+    
+    if (transition === 'fade') {
+      return this.fadeScheme(scheme, { duration, persist });
+    }
+    
+    // generateSchemeFromSeed 已更新 currentScheme，起点取页面上实际显示的方案
+    return this.transitionScheme(this.appliedScheme, scheme, { duration, persist });
+  }
+  
+  /**
+   * 以View Transitions圆形展开的方式应用方案
+   * @param {Object} scheme - 目标方案
+   * @param {Object} options - { duration, origin, persist }
+   * @returns {Promise<Object>} 动画结束后解析为目标方案
+   */
+  revealScheme(scheme, { duration, origin, persist = true }) {
     const root = document.documentElement;
+    const { x, y } = this.getRevealOrigin(origin);
+    const radius = Math.hypot(
+      Math.max(x, window.innerWidth - x),
+      Math.max(y, window.innerHeight - y)
+    );
+    
+    // 该类名关闭浏览器默认的交叉淡化，只保留圆形展开
+    root.classList.add('m3-theme-reveal');
+    const viewTransition = document.startViewTransition(() => {
+      this.applyScheme(scheme, { persist });
+    });
+    
+    viewTransition.ready.then(() => {
+      root.animate({
+        clipPath: [`circle(0px at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`]
+      }, {
+        duration,
+        easing: this.getMotionToken('--m3-motion-easing-emphasized-decelerate') || 'ease-out',
+        pseudoElement: '::view-transition-new(root)'
+      });
+    }).catch(() => {});
     
-    // 应用所有色彩变量
+    return viewTransition.finished.catch(() => {}).then(() => {
+      root.classList.remove('m3-theme-reveal');
+      return scheme;
+    });
+  }
+  
+  /**
+   * 借助 .theme-transition 的CSS过渡渐变应用方案
+   * @param {Object} scheme - 目标方案
+   * @param {Object} options - { duration, persist }
+   * @returns {Promise<Object>} 过渡结束后解析为目标方案
+   */
+  fadeScheme(scheme, { duration, persist = true }) {
+    const root = this.getRoot();
+    
+    // 连续切换时沿用同一个渐变，只延长结束时间
+    if (this.fade) {
+      clearTimeout(this.fade.timer);
+      this.fade.resolve(this.fade.scheme);
+    }
+    
+    root.style.setProperty('--m3-theme-transition-duration', `${duration}ms`);
+    root.classList.add('theme-transition');
+    this.applyScheme(scheme, { persist });
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.fade = null;
+        root.classList.remove('theme-transition');
+        root.style.removeProperty('--m3-theme-transition-duration');
+        resolve(scheme);
+      }, duration);
+      this.fade = { scheme, resolve, timer };
+    });
+  }
+  
+  /**
+   * 计算展开动画的圆心（视口坐标）
+   * @param {HTMLElement|Object} origin - 元素或 { x, y }
+   * @returns {Object} { x, y }
+   */
+  getRevealOrigin(origin) {
+    if (origin && typeof origin.getBoundingClientRect === 'function') {
+      const rect = origin.getBoundingClientRect();
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    
+    if (origin && Number.isFinite(origin.x) && Number.isFinite(origin.y)) {
+      return { x: origin.x, y: origin.y };
+    }
+    
+    return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+  }
+  
+  /**
+   * 用户是否开启了“减少动态效果”
+   * @returns {boolean}
+   */
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia) &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+  
+  /**
+   * 读取根元素上的动效令牌
+   * @param {string} name - CSS变量名
+   * @returns {string} 令牌值，未定义时为空字符串
+   */
+  getMotionToken(name) {
+    if (typeof getComputedStyle !== 'function') return '';
+    return getComputedStyle(this.getRoot()).getPropertyValue(name).trim();
+  }
+  
+  /**
+   * 读取动效时长令牌（毫秒）
+   * @param {string} name - CSS变量名
+   * @returns {number} 时长，令牌未定义时为 TRANSITION_DURATION
+   */
+  getMotionDuration(name = '--m3-motion-duration-long-2') {
+    const value = this.getMotionToken(name);
+    const duration = parseFloat(value);
+    if (!Number.isFinite(duration)) return M3ThemeEngine.TRANSITION_DURATION;
+    return /\ds$/.test(value) ? duration * 1000 : duration;
+  }
+  
+  /**
+   * 将方案的色彩变量和主题模式写到元素上
+   * @param {Object} scheme - 色彩方案
+   * @param {HTMLElement} element - 目标元素
+   */
+  applySchemeToElement(scheme, element) {
+    const appliedProperties = new Set();
     Object.entries(scheme).forEach(([key, value]) => {
       if (typeof value === 'string' && value.startsWith('#')) {
         const cssVar = `--m3-sys-${this.kebabCase(key)}`;
-        root.style.setProperty(cssVar, value);
+        element.style.setProperty(cssVar, value);
+        appliedProperties.add(cssVar);
       }
     });
     
-    // 设置主题模式
-    const isDark = scheme.surface && 
-                  M3HCTColor.relativeLuminance(
-                    ...Object.values(M3HCTColor.hexToRgb(scheme.surface))
-                  ) < 0.5;
+    // 移除上一个方案中不再存在的变量（如已删除的自定义颜色）
+    (this.appliedProperties.get(element) || []).forEach(cssVar => {
+      if (!appliedProperties.has(cssVar)) element.style.removeProperty(cssVar);
+    });
+    this.appliedProperties.set(element, appliedProperties);
     
-    if (isDark) {
-      root.setAttribute('data-theme', 'dark');
-      this.isDark = true;
+    // 设置主题模式：全局亮色为默认值，局部方案需要明确标记以覆盖外层的暗色
+    if (this.isDarkScheme(scheme)) {
+      element.setAttribute('data-theme', 'dark');
+    } else if (element === document.documentElement) {
+      element.removeAttribute('data-theme');
     } else {
-      root.removeAttribute('data-theme');
-      this.isDark = false;
-    }
-    
-    // 提取种子色（从primary）
-    if (scheme.primary) {
-      this.currentSeed = scheme.primary;
+      element.setAttribute('data-theme', 'light');
     }
-    
-    // 保存到本地存储
-    this.saveToLocalStorage();
-    
-    // 触发主题变化事件
-    this.dispatchThemeChange();
+  }
+  
+  /**
+   * 移除应用在元素上的局部方案，恢复继承外层主题
+   * @param {HTMLElement} element - 目标元素
+   */
+  removeScheme(element) {
+    (this.appliedProperties.get(element) || []).forEach(cssVar => {
+      element.style.removeProperty(cssVar);
+    });
+    this.appliedProperties.delete(element);
+    element.removeAttribute('data-theme');
+  }
+  
+  /**
+   * 根据表面色亮度判断方案是否为暗色
+   * @param {Object} scheme - 色彩方案
+   * @returns {boolean}
+   */
+  isDarkScheme(scheme) {
+    return Boolean(scheme.surface) &&
+      M3HCTColor.relativeLuminance(
+        ...Object.values(M3HCTColor.hexToRgb(scheme.surface))
+      ) < 0.5;
+  }
+  
+  /**
+   * 按种子色生成并应用主题
+   * @param {string} seedColor - 种子颜色
+   * @param {boolean} isDark - 是否为暗色模式，默认保持当前模式
+   * @param {string} variant - 方案变体，默认沿用当前变体
+   * @param {Object} options - 过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 方案应用完成（含过渡动画）后解析为该方案
+   */
+  applyTheme(seedColor, isDark = null, variant = null, options = {}) {
+    const scheme = this.generateSchemeFromSeed(
+      seedColor,
+      isDark !== null ? isDark : this.isDark,
+      variant || this.variant
+    );
+    return this.applyScheme(scheme, options);
+  }
+  
+  /**
+   * 设置自定义颜色并重新生成当前主题
+   * @param {Array} customColors - 自定义颜色 [{ name: 'success', value: '#2E7D32', harmonize: true }]
+   * @returns {Promise<Object>} 应用完成后解析为新方案
+   */
+  setCustomColors(customColors) {
+    this.customColors = M3ColorExtractor.normalizeCustomColors(customColors);
+    return this.applyTheme(this.currentSeed);
+  }
+  
+  /**
+   * 设置对比度级别并重新生成当前主题
+   * @param {number} level - 对比度级别 (-1 降低, 0 标准, 0.5 中等, 1 高)
+   * @returns {Promise<Object>} 应用完成后解析为新方案
+   */
+  setContrastLevel(level) {
+    const value = Number(level);
+    this.contrastLevel = Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0;
+    return this.applyTheme(this.currentSeed);
   }
   
   /**
    * 切换亮色/暗色模式
+   * 亮色/暗色模式下切换会同时改变所选模式；跟随系统或定时切换时只临时切换，
+   * 系统变化或到达下一个切换时刻后恢复
    * @param {boolean} forceDark - 强制暗色模式
+   * @param {Object} options - 过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 切换完成后解析为新方案
    */
-  toggleTheme(forceDark = null) {
+  toggleTheme(forceDark = null, options = {}) {
     const willBeDark = forceDark !== null ? forceDark : !this.isDark;
     
+    if (this.themeMode === 'light' || this.themeMode === 'dark') {
+      this.themeMode = willBeDark ? 'dark' : 'light';
+      this.writeStorage(this.modeStorageKey, this.themeMode);
+    }
+    
     if (this.currentScheme) {
       // 基于当前方案生成相反模式
       const currentSeed = this.currentSeed;
       const newScheme = this.generateSchemeFromSeed(currentSeed, willBeDark);
-      this.applyScheme(newScheme);
+      return this.applyScheme(newScheme, options);
     } else {
       // 生成新方案
       const newScheme = this.generateSchemeFromSeed(this.currentSeed, willBeDark);
-      this.applyScheme(newScheme);
+      return this.applyScheme(newScheme, options);
     }
   }
   
   /**
    * 应用图片主题
-   * @param {string} imageUrl - 图片URL
+   * @param {*} image - 图片URL或其他图片源（Blob、File、ImageBitmap、ImageData等）
    * @param {boolean} isDark - 是否为暗色模式
+   * @param {string} variant - 方案变体，默认沿用当前变体
+   * @param {Object|number} options - 取色选项或种子色候选序号，见 generateSchemeFromImageAsync；
+   *   另可传入过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 应用完成后解析为色彩方案，失败时以 M3ExtractionError 拒绝；
+   *   未传入 signal 时，本引擎再次调用会取消未完成的请求（code 为 superseded）
    */
-  applyImageTheme(imageUrl, isDark = null) {
+  applyImageTheme(image, isDark = null, variant = null, options = {}) {
     const willBeDark = isDark !== null ? isDark : this.isDark;
+    const { transition, duration, origin, ...imageOptions } =
+      typeof options === 'number' ? { candidateIndex: options } : options;
     
-    this.generateSchemeFromImage(imageUrl, willBeDark, (scheme) => {
-      if (scheme) {
-        this.applyScheme(scheme);
+    if (!imageOptions.signal && typeof AbortController !== 'undefined') {
+      this.cancelImageExtraction();
+      this.imageExtraction = new AbortController();
+      imageOptions.signal = this.imageExtraction.signal;
+    }
+    
+    return this.generateSchemeFromImageAsync(image, willBeDark, variant || this.variant, imageOptions)
+      .then((scheme) => {
+        const applied = this.applyScheme(scheme, { transition, duration, origin });
         
-        // 保存图片到本地存储
-        localStorage.setItem('m3-wallpaper-url', imageUrl);
+        // 保存图片地址或图片文件（ImageBitmap、像素数据等图片源不保存）
+        const wallpaper = typeof image === 'string' || M3ThemeEngine.isBlob(image) ? image : null;
+        if (wallpaper) {
+          this.writeStorage(this.wallpaperStorageKey, wallpaper, this.wallpaperStorage);
+        }
         
         // 触发自定义事件
-        window.dispatchEvent(new CustomEvent('m3-wallpaper-applied', {
-          detail: { imageUrl, scheme }
+        this.getEventTarget().dispatchEvent(new CustomEvent('m3-wallpaper-applied', {
+          detail: { imageUrl: scheme.imageUrl, scheme }
         }));
+        
+        return applied;
+      });
+  }
+  
+  /**
+   * 取消本引擎未完成的 applyImageTheme 取色请求
+   */
+  cancelImageExtraction() {
+    if (this.imageExtraction) {
+      this.imageExtraction.abort();
+      this.imageExtraction = null;
+    }
+  }
+  
+  /**
+   * 以HCT插值动画从一个方案过渡到另一个方案，结束时应用目标方案
+   * 用户开启“减少动态效果”时直接切换
+   * @param {Object} fromScheme - 起始方案（通常为当前方案）
+   * @param {Object} toScheme - 目标方案
+   * @param {Object} options - { duration, persist }，duration 默认读取动效时长令牌，persist 见 applyScheme
+   * @returns {Promise<Object>} 过渡结束（或被新的过渡取代）时解析为目标方案
+   */
+  transitionScheme(fromScheme, toScheme, { duration = this.getMotionDuration(), persist = true } = {}) {
+    // 取消进行中的过渡
+    this.cancelTransition();
+    
+    if (!fromScheme || duration <= 0 || this.prefersReducedMotion() ||
+        typeof requestAnimationFrame === 'undefined') {
+      this.applyScheme(toScheme, { persist });
+      return Promise.resolve(toScheme);
+    }
+    
+    const isColor = value => typeof value === 'string' && value.startsWith('#');
+    const root = this.getRoot();
+    const roles = Object.keys(toScheme)
+      .filter(key => isColor(toScheme[key]) && isColor(fromScheme[key]))
+      .map(key => ({
+        cssVar: `--m3-sys-${this.kebabCase(key)}`,
+        from: M3HCTColor.fromHex(fromScheme[key]),
+        to: M3HCTColor.fromHex(toScheme[key])
+      }));
+    
+    return new Promise((resolve) => {
+      const start = performance.now();
+      const step = (now) => {
+        const progress = Math.min(1, (now - start) / duration);
+        
+        if (progress >= 1) {
+          this.transition = null;
+          this.applyScheme(toScheme, { persist });
+          resolve(toScheme);
+          return;
+        }
+        
+        // 减速曲线，接近 --m3-motion-easing-standard
+        const eased = 1 - Math.pow(1 - progress, 3);
+        roles.forEach(({ cssVar, from, to }) => {
+          root.style.setProperty(cssVar, M3HCTColor.interpolate(from, to, eased));
+        });
+        
+        this.transition.frame = requestAnimationFrame(step);
+      };
+      
+      this.transition = { scheme: toScheme, resolve, frame: requestAnimationFrame(step) };
+    });
+  }
+  
+  /**
+   * 中止进行中的插值过渡，其Promise解析为原目标方案
+   */
+  cancelTransition() {
+    if (this.transition) {
+      cancelAnimationFrame(this.transition.frame);
+      this.transition.resolve(this.transition.scheme);
+      this.transition = null;
+    }
+  }
+  
+  /**
+   * 跟随媒体内容（专辑封面、视频、Canvas）自动更新主题
+   * 定期并在媒体加载新内容时重新取色，只有种子色色相变化达到阈值才以动画切换方案
+   * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} element - 媒体元素
+   * @param {Object} options - 选项，其余选项（region、weight等）见 M3ColorExtractor.extract
+   * @param {number} options.interval - 取色间隔（毫秒）
+   * @param {number} options.minHueShift - 重新应用方案所需的最小色相变化（度）
+   * @param {number} options.duration - 方案过渡时长（毫秒）
+   * @param {boolean} options.persist - 保存媒体方案并同步到其他标签页；默认只改变本页显示，
+   *   避免播放期间反复写入存储和广播
+   * @returns {Function} 停止跟随的函数
+   */
+  followMedia(element, {
+    interval = 2000,
+    minHueShift = 15,
+    duration = this.getMotionDuration(),
+    persist = false,
+    ...extractOptions
+  } = {}) {
+    this.stopFollowingMedia();
+    
+    let stopped = false;
+    let busy = false;
+    let lastFrameKey = null;
+    const extraction = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const mediaOptions = Object.assign({}, extractOptions, { signal: extraction && extraction.signal });
+    
+    // 视频以播放位置、图片以地址判断内容是否变化；Canvas每次都重新取色
+    const frameKey = () => {
+      if ('currentTime' in element) return `${element.currentSrc}@${element.currentTime}`;
+      if ('currentSrc' in element) return element.currentSrc || element.src;
+      return null;
+    };
+    
+    const update = () => {
+      if (stopped || busy) return;
+      
+      const key = frameKey();
+      if (key !== null && key === lastFrameKey) return;
+      
+      busy = true;
+      this.getImageSeedOptions(element, mediaOptions)
+        .then(([best]) => {
+          lastFrameKey = key;
+          if (stopped) return null;
+          
+          const current = M3HCTColor.fromHex(this.currentSeed);
+          const next = M3HCTColor.fromHex(best.color);
+          const hueShift = 180 - Math.abs(Math.abs(current.hue - next.hue) - 180);
+          if (hueShift < minHueShift) return null;
+          
+          const fromScheme = this.currentScheme;
+          const scheme = this.generateSchemeFromSeed(best.color, this.isDark);
+          scheme.source = 'media';
+          return this.transitionScheme(fromScheme, scheme, { duration, persist });
+        })
+        .catch((error) => {
+          const { NOT_READY, EMPTY_IMAGE, SUPERSEDED, CANVAS_TAINTED } = M3ExtractionError;
+          
+          // 媒体尚未就绪或已停止跟随：等待下一次
+          if ([NOT_READY, EMPTY_IMAGE, SUPERSEDED].includes(error.code)) return;
+          
+          console.warn('Failed to extract colors from media:', error.message);
+          
+          // 跨域媒体永远无法读取像素
+          if (error.code === CANVAS_TAINTED) stop();
+        })
+        .then(() => {
+          busy = false;
+        });
+    };
+    
+    const events = ['load', 'loadeddata', 'seeked'];
+    events.forEach(type => element.addEventListener(type, update));
+    const timer = setInterval(update, interval);
+    
+    const stop = () => {
+      stopped = true;
+      clearInterval(timer);
+      if (extraction) extraction.abort();
+      events.forEach(type => element.removeEventListener(type, update));
+      if (this.mediaFollower && this.mediaFollower.stop === stop) {
+        this.mediaFollower = null;
       }
+    };
+    
+    this.mediaFollower = { element, stop };
+    update();
+    
+    return stop;
+  }
+  
+  /**
+   * 停止跟随媒体更新主题
+   */
+  stopFollowingMedia() {
+    if (this.mediaFollower) {
+      this.mediaFollower.stop();
+    }
+  }
+  
+  /**
+   * 获取当前主题信息
+   * @returns {Object} 主题信息
+   */
+  getThemeInfo() {
+    return {
+      seed: this.currentSeed,
+      isDark: this.isDark,
+      themeMode: this.themeMode,
+      variant: this.variant,
+      contrastLevel: this.contrastLevel,
+      customColors: this.customColors,
+      scheme: this.currentScheme,
+      customSchemes: Array.from(this.customSchemes.keys())
+    };
+  }
+  
+  /**
+   * 获取对比色
+   * @param {string} color - 基础颜色
+   * @param {boolean} highContrast - 是否需要高对比度
+   * @returns {string} 对比色
+   */
+  getContrastColor(color, highContrast = false) {
+    return M3HCTColor.getAccessibleTextColor(color);
+  }
+  
+  /**
+   * 检查色彩方案中前景/背景角色对的WCAG对比度，方案中的自定义颜色按主色的规则检查
+   * @param {Object} scheme - 色彩方案，默认为当前方案
+   * @param {Object} options - 配置项
+   * @param {string} options.level - 文字要求的等级 (AA 或 AAA)
+   * @param {boolean} options.autoFix - 是否调整未达标的前景色明度
+   * @returns {Object} { passed, level, results, fixes, scheme }
+   */
+  auditScheme(scheme = this.currentScheme, { level = 'AA', autoFix = false } = {}) {
+    if (!scheme) return null;
+    
+    const textRatio = level === 'AAA' ? 7 : 4.5;
+    const fixed = Object.assign({}, scheme);
+    const fixes = {};
+    
+    const pairs = M3ThemeEngine.getAuditPairs(scheme);
+    const check = () => pairs
+      .filter(([fg, bg]) => fixed[fg] && fixed[bg])
+      .map(([foreground, background, type]) => {
+        const required = type === 'text' ? textRatio : 3;
+        const ratio = M3HCTColor.contrastRatio(fixed[foreground], fixed[background]);
+        return {
+          foreground,
+          background,
+          foregroundColor: fixed[foreground],
+          backgroundColor: fixed[background],
+          type,
+          level: type === 'text' ? level : 'UI',
+          required,
+          ratio: Math.round(ratio * 100) / 100,
+          pass: ratio >= required
+        };
+      });
+    
+    let results = check();
+    
+    if (autoFix) {
+      // 只调整文字前景色，同一前景色需同时满足其所有背景
+      const failing = new Set(results.filter(r => !r.pass && r.type === 'text').map(r => r.foreground));
+      
+      failing.forEach(foreground => {
+        const backgrounds = results
+          .filter(r => r.foreground === foreground)
+          .map(r => fixed[r.background]);
+        const color = this.fixForegroundTone(fixed[foreground], backgrounds, textRatio);
+        
+        if (color) {
+          fixes[foreground] = { from: fixed[foreground], to: color };
+          fixed[foreground] = color;
+        }
+      });
+      
+      results = check();
+    }
+    
+    return {
+      passed: results.every(r => r.pass),
+      level,
+      results,
+      fixes,
+      scheme: autoFix ? fixed : scheme
+    };
+  }
+  
+  /**
+   * 方案需要检查的角色对：AUDIT_PAIRS 加上方案中每个自定义颜色的
+   * 颜色/文字、容器/容器文字以及颜色/表面
+   * @param {Object} scheme - 色彩方案
+   * @returns {Array} [[foreground, background, type]]
+   */
+  static getAuditPairs(scheme) {
+    const pairs = M3ThemeEngine.AUDIT_PAIRS.slice();
+    
+    Object.keys(scheme)
+      .filter(name => !(name in M3ColorExtractor.SCHEME_ROLES))
+      .forEach((name) => {
+        const Name = name.charAt(0).toUpperCase() + name.slice(1);
+        const roles = Object.keys(M3ColorExtractor.customColorRoles(name, Name));
+        if (!roles.every(role => role in scheme)) return;
+        
+        pairs.push(
+          [`on${Name}`, name, 'text'],
+          [`on${Name}Container`, `${name}Container`, 'text'],
+          [name, 'surface', 'ui']
+        );
+      });
+    
+    return pairs;
+  }
+  
+  /**
+   * 在保持色相与色度的前提下调整前景色明度，直到对所有背景达到目标对比度
+   * @param {string} foreground - 前景色
+   * @param {Array} backgrounds - 背景色列表
+   * @param {number} ratio - 目标对比度
+   * @returns {string|null} 调整后的颜色，无法达标时返回null
+   */
+  fixForegroundTone(foreground, backgrounds, ratio) {
+    const hct = M3HCTColor.fromHex(foreground);
+    const bgTone = backgrounds
+      .map(bg => M3HCTColor.fromHex(bg).tone)
+      .reduce((sum, tone) => sum + tone, 0) / backgrounds.length;
+    
+    // 较亮背景优先变暗，较暗背景优先变亮
+    const directions = bgTone >= 60 ? [-1, 1] : [1, -1];
+    
+    for (const direction of directions) {
+      for (let tone = Math.round(hct.tone); tone >= 0 && tone <= 100; tone += direction) {
+        const color = M3HCTColor.from(hct.hue, hct.chroma, tone).toHex();
+        if (backgrounds.every(bg => M3HCTColor.contrastRatio(color, bg) >= ratio)) {
+          return color;
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 生成调色板
+   * @param {string} baseColor - 基础颜色
+   * @param {number|Array} steps - 均分的色调数量，或明度列表；默认为标准关键色调
+   * @returns {Array} 调色板
+   */
+  generatePalette(baseColor, steps = M3TonalPalette.KEY_TONES) {
+    const palette = M3TonalPalette.fromHex(baseColor);
+    
+    let tones = steps;
+    if (typeof steps === 'number') {
+      const count = Math.max(2, Math.round(steps));
+      tones = Array.from({ length: count }, (_, i) => (i * 100) / (count - 1));
+    }
+    
+    return tones.map(tone => palette.tone(tone));
+  }
+  
+  /**
+   * 保存到存储
+   * @returns {Promise<void>}
+   */
+  saveToStorage() {
+    const themeData = {
+      version: M3ThemeEngine.STORAGE_VERSION,
+      algorithm: M3ColorExtractor.ALGORITHM_VERSION,
+      seed: this.currentSeed,
+      isDark: this.isDark,
+      variant: this.variant,
+      contrastLevel: this.contrastLevel,
+      customColors: this.customColors,
+      scheme: this.currentScheme
+    };
+    
+    // 时间戳不参与比较，主题未变化时不重复保存
+    return this.writeStorage(
+      this.storageKey,
+      JSON.stringify(Object.assign({}, themeData, { timestamp: new Date().toISOString() })),
+      this.storage,
+      JSON.stringify(themeData)
+    );
+  }
+  
+  /**
+   * 从存储加载并应用主题
+   * @returns {Promise<Object|null>} 主题数据，没有有效数据时为 null
+   */
+  loadFromStorage() {
+    return this.readStorage(this.storageKey).then((saved) => {
+      if (!saved) return null;
+      
+      try {
+        return this.restoreThemeData(JSON.parse(saved));
+      } catch (e) {
+        console.warn('Failed to load theme from storage:', e);
+        return null;
+      }
+    });
+  }
+  
+  /**
+   * @deprecated 使用 saveToStorage
+   */
+  saveToLocalStorage() {
+    return this.saveToStorage();
+  }
+  
+  /**
+   * 同步读取 localStorage（使用 sessionStorage 适配器时读取 sessionStorage）中保存的主题并应用
+   * @deprecated 使用 loadFromStorage，它支持所有存储适配器并返回Promise
+   * @returns {Object|null} 校验后的主题数据；使用其他存储适配器时为 null
+   */
+  loadFromLocalStorage() {
+    if (!this.storageKey) return null;
+    
+    // IndexedDB、Cookie等适配器无法同步读取，也不能改读引擎不使用的 localStorage
+    if (!(this.storage instanceof M3WebStorageAdapter)) {
+      console.warn('loadFromLocalStorage is deprecated and only reads web storage; use loadFromStorage');
+      return null;
+    }
+    
+    try {
+      const saved = this.storage.storage.getItem(this.storageKey);
+      return saved ? this.restoreThemeData(JSON.parse(saved)) : null;
+    } catch (e) {
+      console.warn('Failed to load theme from localStorage:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * 读取保存的壁纸
+   * @returns {Promise<string|Blob|null>} 图片地址或图片文件
+   */
+  getWallpaper() {
+    return this.readStorage(this.wallpaperStorageKey, this.wallpaperStorage).then((wallpaper) => {
+      if (wallpaper || this.wallpaperStorage === this.storage) return wallpaper;
+      
+      // 旧版本把壁纸地址和主题设置保存在一起：迁移到壁纸存储
+      return this.readStorage(this.wallpaperStorageKey).then((legacy) => {
+        if (legacy) {
+          this.writeStorage(this.wallpaperStorageKey, legacy, this.wallpaperStorage)
+            .then(() => this.writeStorage(this.wallpaperStorageKey, null));
+        }
+        return legacy;
+      });
     });
   }
   
   /**
-   * 获取当前主题信息
-   * @returns {Object} 主题信息
+   * 是否为 Blob（含 File）
+   * @param {*} value - 值
+   * @returns {boolean}
+   */
+  static isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+  }
+  
+  /**
+   * 校验保存的主题数据并应用；保存的颜色无效或配色算法已更新时按种子色重新生成
+   * @param {Object} themeData - saveToStorage 保存的数据（任意版本）
+   * @returns {Object|null} 校验后的主题数据，无效时为 null
+   */
+  restoreThemeData(themeData) {
+    const data = M3ThemeEngine.validateThemeData(themeData);
+    if (!data) return null;
+    
+    this.applyThemeData(data);
+    return data;
+  }
+  
+  /**
+   * 应用校验后的主题数据；没有可用的方案时按种子色重新生成
+   * @param {Object} data - { seed, isDark, variant, contrastLevel, customColors, scheme }
+   * @param {Object} options - 过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 应用完成后解析为色彩方案
+   */
+  applyThemeData(data, options = {}) {
+    this.isDark = data.isDark;
+    this.variant = data.variant;
+    this.contrastLevel = data.contrastLevel;
+    this.customColors = data.customColors;
+    
+    if (data.scheme) {
+      this.currentSeed = data.seed;
+      this.currentScheme = data.scheme;
+      return this.applyScheme(data.scheme, options);
+    }
+    
+    return this.applyScheme(this.generateSchemeFromSeed(data.seed, data.isDark, data.variant), options);
+  }
+  
+  /**
+   * 将保存的主题数据迁移到当前版本并校验
+   * @param {Object} themeData - 保存的主题数据
+   * @returns {Object|null} { version, seed, isDark, variant, contrastLevel, customColors, scheme }；
+   *   seed 无效时为 null，scheme 无效或需要重新生成时为 null
+   */
+  static validateThemeData(themeData) {
+    const data = this.migrateThemeData(themeData);
+    if (!data || !/^#[0-9A-F]{6}$/i.test(data.seed)) return null;
+    
+    const customColors = M3ColorExtractor.normalizeCustomColors(
+      Array.isArray(data.customColors) ? data.customColors : []
+    );
+    
+    return {
+      version: this.STORAGE_VERSION,
+      seed: data.seed,
+      isDark: data.isDark === true,
+      variant: M3ColorExtractor.SCHEME_VARIANTS.includes(data.variant) ? data.variant : 'tonalSpot',
+      contrastLevel: Number.isFinite(data.contrastLevel)
+        ? Math.max(-1, Math.min(1, data.contrastLevel))
+        : 0,
+      customColors,
+      scheme: data.algorithm === M3ColorExtractor.ALGORITHM_VERSION
+        ? this.validateScheme(data.scheme, customColors)
+        : null
+    };
+  }
+  
+  /**
+   * 校验方案：必须包含全部颜色角色且均为 #RRGGBB，其余字段只保留已知的来源信息
+   * @param {Object} scheme - 色彩方案
+   * @param {Array} customColors - 规范化后的自定义颜色
+   * @returns {Object|null} 只含已知字段的方案，无效时为 null
+   */
+  static validateScheme(scheme, customColors = []) {
+    if (!scheme || typeof scheme !== 'object') return null;
+    
+    const isHex = value => typeof value === 'string' && /^#[0-9A-F]{6}$/i.test(value);
+    const result = {};
+    
+    const roles = M3ColorExtractor.getSchemeRoleNames(customColors);
+    if (!roles.every(role => isHex(scheme[role]))) return null;
+    roles.forEach((role) => {
+      result[role] = scheme[role];
+    });
+    
+    if (['image', 'media'].includes(scheme.source)) {
+      result.source = scheme.source;
+    }
+    if (typeof scheme.imageUrl === 'string') {
+      result.imageUrl = scheme.imageUrl;
+    }
+    if (Array.isArray(scheme.extractedColors) && scheme.extractedColors.every(isHex)) {
+      result.extractedColors = scheme.extractedColors;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 逐版本迁移保存的主题数据
+   * @param {Object} themeData - 保存的主题数据，没有 version 字段的视为第1版
+   * @returns {Object|null} 当前版本的数据，不是对象时为 null
+   */
+  static migrateThemeData(themeData) {
+    if (!themeData || typeof themeData !== 'object' || Array.isArray(themeData)) return null;
+    
+    let data = themeData;
+    let version = Number.isInteger(data.version) ? data.version : 1;
+    
+    while (version < this.STORAGE_VERSION) {
+      data = this.STORAGE_MIGRATIONS[version](data);
+      version += 1;
+    }
+    
+    // 更新版本的库保存的数据：字段仍逐项校验，颜色按种子色重新生成
+    if (version > this.STORAGE_VERSION) {
+      data = Object.assign({}, data, { algorithm: null });
+    }
+    
+    return data;
+  }
+  
+  /**
+   * 重置为默认主题：默认种子色、变体、对比度与主题模式，并清除自定义颜色
+   */
+  resetToDefault() {
+    this.contrastLevel = 0;
+    this.customColors = [];
+    this.themeMode = this.defaultThemeMode;
+    this.schedule = this.defaultSchedule;
+    const defaultScheme = this.generateSchemeFromSeed('#6750A4', this.resolveThemeMode(), 'tonalSpot');
+    this.applyScheme(defaultScheme);
+    this.syncThemeMode();
+    
+    // 清除存储
+    this.writeStorage(this.storageKey, null);
+    this.writeStorage(this.wallpaperStorageKey, null, this.wallpaperStorage);
+    this.writeStorage(this.modeStorageKey, null);
+    this.writeStorage(this.scheduleStorageKey, null);
+  }
+  
+  /**
+   * 设置主题模式并保存，种子色等其余设置保持不变
+   * @param {string} mode - 'light' | 'dark' | 'system'（跟随系统并实时响应系统变化）|
+   *   'schedule'（按 setSchedule 设置的时间或日出日落定时切换）
+   * @param {Object} options - 过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 切换完成后解析为当前方案
+   */
+  setThemeMode(mode, options = {}) {
+    if (!M3ThemeEngine.THEME_MODES.includes(mode)) {
+      console.warn(`Unknown theme mode "${mode}"`);
+      return Promise.resolve(this.currentScheme);
+    }
+    
+    this.themeMode = mode;
+    this.writeStorage(this.modeStorageKey, mode);
+    return this.syncThemeMode(options);
+  }
+  
+  /**
+   * 按当前主题模式更新系统主题监听，并在需要时切换亮色/暗色
+   * @param {Object} options - 过渡选项，见 applyScheme
+   * @returns {Promise<Object>} 切换完成后解析为当前方案
+   */
+  syncThemeMode(options = {}) {
+    if (this.themeMode === 'system') {
+      this.watchSystemTheme();
+    } else {
+      this.unwatchSystemTheme();
+    }
+    
+    if (this.themeMode === 'schedule') {
+      this.watchSchedule();
+    } else {
+      this.unwatchSchedule();
+    }
+    
+    const isDark = this.resolveThemeMode();
+    if (this.currentScheme && isDark === this.isDark) {
+      // 模式变化但亮暗不变时也通知界面更新
+      this.dispatchThemeChange();
+      return Promise.resolve(this.currentScheme);
+    }
+    
+    return this.toggleTheme(isDark, options);
+  }
+  
+  /**
+   * 当前主题模式下是否应使用暗色
+   * @returns {boolean}
+   */
+  resolveThemeMode() {
+    switch (this.themeMode) {
+      case 'dark':
+        return true;
+      case 'system':
+        return Boolean(window.matchMedia) &&
+          window.matchMedia('(prefers-color-scheme: dark)').matches;
+      case 'schedule':
+        return M3ThemeEngine.isScheduledDark(this.schedule, new Date());
+      case 'light':
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * 监听系统主题变化（只注册一个监听，仅在 'system' 模式下生效）
+   */
+  watchSystemTheme() {
+    if (!window.matchMedia || this.systemThemeListener) return;
+    
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+    const listener = (e) => {
+      if (this.themeMode === 'system') {
+        this.toggleTheme(e.matches);
+      }
+    };
+    
+    prefersDark.addEventListener('change', listener);
+    this.systemThemeListener = { query: prefersDark, listener };
+  }
+  
+  /**
+   * 移除系统主题变化监听
+   */
+  unwatchSystemTheme() {
+    if (this.systemThemeListener) {
+      const { query, listener } = this.systemThemeListener;
+      query.removeEventListener('change', listener);
+      this.systemThemeListener = null;
+    }
+  }
+  
+  /**
+   * 设置定时切换并保存；当前为 'schedule' 模式时立即按新设置切换
+   * @param {Object} schedule - 固定时间 { darkFrom: '19:00', lightFrom: '07:00' }（本地时间），
+   *   或按日出日落 { latitude, longitude }（度，北纬、东经为正）
+   * @returns {Promise<Object>} 切换完成后解析为当前方案
+   */
+  setSchedule(schedule) {
+    this.schedule = M3ThemeEngine.normalizeSchedule(schedule);
+    this.writeStorage(this.scheduleStorageKey, JSON.stringify(this.schedule));
+    
+    if (this.themeMode !== 'schedule') {
+      return Promise.resolve(this.currentScheme);
+    }
+    
+    // 重新计算下一次切换时间
+    this.unwatchSchedule();
+    return this.syncThemeMode();
+  }
+  
+  /**
+   * 在定时切换的时刻切换亮色/暗色
+   * 计时最长一分钟后重新检查，并在页面重新可见时检查，避免设备休眠后错过切换；
+   * 只在定时结果变化时切换，手动切换保持到下一个切换时刻
    */
-  getThemeInfo() {
-    return {
-      seed: this.currentSeed,
-      isDark: this.isDark,
-      scheme: this.currentScheme,
-      customSchemes: Array.from(this.customSchemes.keys())
+  watchSchedule() {
+    if (this.scheduleWatcher) return;
+    
+    const watcher = {
+      timer: null,
+      onVisible: null,
+      scheduledDark: M3ThemeEngine.isScheduledDark(this.schedule, new Date())
+    };
+    
+    const arm = (now) => {
+      const next = M3ThemeEngine.getNextScheduleChange(this.schedule, now);
+      const delay = Math.min(next - now, M3ThemeEngine.SCHEDULE_CHECK_INTERVAL);
+      clearTimeout(watcher.timer);
+      watcher.timer = setTimeout(check, Math.max(delay, 1000));
+    };
+    
+    const check = () => {
+      const now = new Date();
+      const isDark = M3ThemeEngine.isScheduledDark(this.schedule, now);
+      if (isDark !== watcher.scheduledDark) {
+        watcher.scheduledDark = isDark;
+        if (isDark !== this.isDark) {
+          this.toggleTheme(isDark);
+        }
+      }
+      arm(now);
+    };
+    
+    watcher.onVisible = () => {
+      if (document.visibilityState !== 'hidden') check();
     };
+    
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', watcher.onVisible);
+    }
+    
+    this.scheduleWatcher = watcher;
+    arm(new Date());
   }
   
   /**
-   * 获取对比色
-   * @param {string} color - 基础颜色
-   * @param {boolean} highContrast - 是否需要高对比度
-   * @returns {string} 对比色
+   * 停止定时切换
    */
-  getContrastColor(color, highContrast = false) {
-    return M3HCTColor.getAccessibleTextColor(color);
+  unwatchSchedule() {
+    if (this.scheduleWatcher) {
+      clearTimeout(this.scheduleWatcher.timer);
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', this.scheduleWatcher.onVisible);
+      }
+      this.scheduleWatcher = null;
+    }
   }
   
   /**
-   * 生成调色板
-   * @param {string} baseColor - 基础颜色
-   * @param {number} steps - 步数
-   * @returns {Array} 调色板
+   * 规范化定时设置，无效时使用默认的固定时间
+   * @param {Object} schedule - 见 setSchedule
+   * @returns {Object} { latitude, longitude } 或 { darkFrom, lightFrom }
    */
-  generatePalette(baseColor, steps = 10) {
-    const hctColor = M3HCTColor.fromHex(baseColor);
-    return M3HCTColor.generateTonalPalette(hctColor);
+  static normalizeSchedule(schedule) {
+    const { latitude, longitude, darkFrom, lightFrom } = schedule || {};
+    
+    if (Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      return { latitude, longitude };
+    }
+    
+    const isTime = value => /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+    if (isTime(darkFrom) && isTime(lightFrom) && darkFrom !== lightFrom) {
+      return { darkFrom, lightFrom };
+    }
+    
+    if (schedule) {
+      console.warn('Invalid theme schedule, falling back to the default times', schedule);
+    }
+    return Object.assign({}, M3ThemeEngine.DEFAULT_SCHEDULE);
   }
   
   /**
-   * 保存到本地存储
+   * 定时设置在给定时刻是否为暗色
+   * @param {Object} schedule - 规范化后的定时设置
+   * @param {Date} date - 时刻
+   * @returns {boolean}
    */
-  saveToLocalStorage() {
-    const themeData = {
-      seed: this.currentSeed,
-      isDark: this.isDark,
-      scheme: this.currentScheme,
-      timestamp: new Date().toISOString()
-    };
-    
-    try {
-      localStorage.setItem('m3-theme-data', JSON.stringify(themeData));
-    } catch (e) {
-      console.warn('Failed to save theme to localStorage:', e);
+  static isScheduledDark(schedule, date) {
+    if ('latitude' in schedule) {
+      const { sunrise, sunset, polarNight } = this.getSunTimes(date, schedule.latitude, schedule.longitude);
+      if (!sunrise) return polarNight;
+      return date < sunrise || date >= sunset;
     }
+    
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const darkFrom = this.parseScheduleTime(schedule.darkFrom);
+    const lightFrom = this.parseScheduleTime(schedule.lightFrom);
+    
+    return darkFrom < lightFrom
+      ? minutes >= darkFrom && minutes < lightFrom
+      : minutes >= darkFrom || minutes < lightFrom;
   }
   
   /**
-   * 从本地存储加载
-   * @returns {Object|null} 主题数据
+   * 给定时刻之后的下一次切换时间
+   * @param {Object} schedule - 规范化后的定时设置
+   * @param {Date} date - 时刻
+   * @returns {Date} 下一次切换时间；极昼/极夜期间为次日零点（届时重新计算）
    */
-  loadFromLocalStorage() {
-    try {
-      const saved = localStorage.getItem('m3-theme-data');
-      if (saved) {
-        const themeData = JSON.parse(saved);
-        
-        // 验证数据有效性
-        if (themeData.scheme && themeData.seed) {
-          this.currentSeed = themeData.seed;
-          this.isDark = themeData.isDark || false;
-          this.currentScheme = themeData.scheme;
-          
-          // 应用方案
-          this.applyScheme(themeData.scheme);
-          
-          return themeData;
-        }
+  static getNextScheduleChange(schedule, date) {
+    const candidates = [];
+    
+    for (let offset = 0; offset <= 1; offset++) {
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+      
+      if ('latitude' in schedule) {
+        const { sunrise, sunset } = this.getSunTimes(day, schedule.latitude, schedule.longitude);
+        if (sunrise) candidates.push(sunrise, sunset);
+      } else {
+        [schedule.darkFrom, schedule.lightFrom].forEach((time) => {
+          const minutes = this.parseScheduleTime(time);
+          candidates.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+                                   Math.floor(minutes / 60), minutes % 60));
+        });
       }
-    } catch (e) {
-      console.warn('Failed to load theme from localStorage:', e);
     }
     
-    return null;
+    const next = candidates.filter(time => time > date).sort((a, b) => a - b)[0];
+    return next || new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
   }
   
   /**
-   * 重置为默认主题
+   * 将 'HH:MM' 转换为当天的分钟数
+   * @param {string} time - 时间
+   * @returns {number}
    */
-  resetToDefault() {
-    const defaultScheme = this.generateSchemeFromSeed('#6750A4', false);
-    this.applyScheme(defaultScheme);
-    
-    // 清除本地存储
-    localStorage.removeItem('m3-theme-data');
-    localStorage.removeItem('m3-wallpaper-url');
+  static parseScheduleTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
   }
   
   /**
-   * 监听系统主题变化
+   * 按日出方程计算某地某天的日出、日落时间（精度约一分钟）
+   * @param {Date} date - 日期（取本地日历日）
+   * @param {number} latitude - 纬度（度，北纬为正）
+   * @param {number} longitude - 经度（度，东经为正）
+   * @returns {Object} { sunrise, sunset, polarNight }；极昼/极夜时 sunrise、sunset 为 null
    */
-  watchSystemTheme() {
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+  static getSunTimes(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const dayMs = 86400000;
+    const j2000 = Date.UTC(2000, 0, 1, 12);
     
-    // 如果没有手动设置过主题，跟随系统
-    const hasManualTheme = localStorage.getItem('m3-theme-data');
+    // 自J2000起的儒略日数，以当地平太阳时正午为准
+    const days = Math.round(
+      (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12) - j2000) / dayMs
+    ) - longitude / 360;
     
-    if (!hasManualTheme) {
-      // 初始设置
-      if (prefersDark.matches) {
-        this.toggleTheme(true);
-      }
-      
-      // 监听变化
-      prefersDark.addEventListener('change', (e) => {
-        if (!localStorage.getItem('m3-theme-data')) {
-          this.toggleTheme(e.matches);
-        }
-      });
+    const anomaly = (357.5291 + 0.98560028 * days) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) +
+                   0.02 * Math.sin(2 * anomaly * rad) +
+                   0.0003 * Math.sin(3 * anomaly * rad);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = days + 0.0053 * Math.sin(anomaly * rad) -
+                    0.0069 * Math.sin(2 * eclipticLongitude * rad);
+    
+    const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad));
+    const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+                         (Math.cos(latitude * rad) * Math.cos(declination));
+    
+    // 太阳整天在地平线以下（极夜）或以上（极昼）
+    if (cosHourAngle > 1 || cosHourAngle < -1) {
+      return { sunrise: null, sunset: null, polarNight: cosHourAngle > 1 };
     }
+    
+    const hourAngle = Math.acos(cosHourAngle) / rad;
+    return {
+      sunrise: new Date(j2000 + (transit - hourAngle / 360) * dayMs),
+      sunset: new Date(j2000 + (transit + hourAngle / 360) * dayMs),
+      polarNight: false
+    };
   }
   
   /**
    * 导出主题配置
-   * @param {string} format - 格式 (json, css, scss)
+   * @param {string} format - 格式 (json, css, scss, mtb)；mtb 为 Material Theme Builder 的JSON结构
    * @returns {string} 配置文本
    */
   exportTheme(format = 'json') {
@@ -290,6 +1655,8 @@ class M3ThemeEngine {
         return this.exportAsCSS();
       case 'scss':
         return this.exportAsSCSS();
+      case 'mtb':
+        return JSON.stringify(this.exportAsMaterialThemeBuilder(), null, 2);
       case 'json':
       default:
         return JSON.stringify(this.getThemeInfo(), null, 2);
@@ -330,15 +1697,321 @@ class M3ThemeEngine {
       .join('\n');
   }
   
+  /**
+   * 导出为 Material Theme Builder 的JSON结构：亮色/暗色及其中、高对比度方案和关键调色板；
+   * 方案只含标准角色，自定义颜色放在 extendedColors 中，并附每个方案下的
+   * { color, onColor, colorContainer, onColorContainer }
+   * @returns {Object} { description, seed, coreColors, extendedColors, schemes, palettes }
+   */
+  exportAsMaterialThemeBuilder() {
+    const seed = this.currentSeed;
+    const schemes = {};
+    const generated = {};
+    const palettes = {};
+    
+    // schemes 只含标准角色，与 Material Theme Builder 的格式一致；
+    // 自定义颜色的角色放在 extendedColors 中各方案名下
+    M3ThemeEngine.MTB_SCHEMES.forEach(([name, isDark, contrastLevel]) => {
+      const scheme = M3ColorExtractor.generateSchemeFromColor(
+        seed, isDark, this.variant, contrastLevel, this.customColors
+      );
+      generated[name] = scheme;
+      schemes[name] = {};
+      M3ColorExtractor.getSchemeRoleNames().forEach((role) => {
+        schemes[name][role] = scheme[role];
+      });
+      Object.assign(schemes[name], {
+        background: scheme.surface,
+        onBackground: scheme.onSurface
+      });
+    });
+    
+    Object.entries(M3ColorExtractor.generateCorePalettes(seed, this.variant))
+      .filter(([key]) => key !== 'error')
+      .forEach(([key, palette]) => {
+        palettes[this.kebabCase(key)] = palette.tones(M3ThemeEngine.MTB_PALETTE_TONES);
+      });
+    
+    return {
+      description: `TYPE: CUSTOM\nM3 You theme export ${new Date().toISOString()}`,
+      seed,
+      coreColors: { primary: seed },
+      extendedColors: this.customColors.map(({ name, value, harmonize }) => {
+        const Name = name.charAt(0).toUpperCase() + name.slice(1);
+        const color = { name, color: value, description: '', harmonized: harmonize };
+        
+        Object.entries(generated).forEach(([schemeName, scheme]) => {
+          color[schemeName] = {
+            color: scheme[name],
+            onColor: scheme[`on${Name}`],
+            colorContainer: scheme[`${name}Container`],
+            onColorContainer: scheme[`on${Name}Container`]
+          };
+        });
+        
+        return color;
+      }),
+      schemes,
+      palettes
+    };
+  }
+  
+  /**
+   * 导入主题配置并应用
+   * 亮色/暗色模式下导入相反明暗的方案会同时改变所选模式，与 toggleTheme 一致
+   * @param {string} text - exportTheme 导出的 JSON/CSS/SCSS，或 Material Theme Builder 导出的 JSON
+   * @param {string} format - 'json' | 'mtb' | 'css' | 'scss'，默认 'auto' 按内容判断
+   * @param {Object} options - 过渡选项 { transition, duration, origin }，见 applyScheme
+   * @returns {Promise<Object>} 应用完成后解析为色彩方案，内容无效时以 M3ThemeImportError 拒绝
+   */
+  importTheme(text, format = 'auto', options = {}) {
+    return new Promise((resolve) => {
+      const data = this.parseTheme(text, format);
+      
+      if ((this.themeMode === 'light' || this.themeMode === 'dark') &&
+          data.isDark !== (this.themeMode === 'dark')) {
+        this.themeMode = data.isDark ? 'dark' : 'light';
+        this.writeStorage(this.modeStorageKey, this.themeMode);
+      }
+      
+      resolve(this.applyThemeData(data, options));
+    });
+  }
+  
+  /**
+   * 解析主题配置，不应用
+   * @param {string} text - 配置文本，见 importTheme
+   * @param {string} format - 'json' | 'mtb' | 'css' | 'scss' | 'auto'
+   * @returns {Object} { seed, isDark, variant, contrastLevel, customColors, scheme }；
+   *   颜色不完整时 scheme 为 null，应用时按种子色生成
+   */
+  parseTheme(text, format = 'auto') {
+    const type = String(format || 'auto').toLowerCase() === 'auto'
+      ? M3ThemeEngine.detectThemeFormat(text)
+      : String(format).toLowerCase();
+    
+    switch (type) {
+      case 'json':
+      case 'mtb':
+        return this.parseThemeJSON(text);
+      case 'css':
+        return this.parseThemeVariables(text, /--m3-sys-([a-z0-9-]+)\s*:\s*([^;}]*)/gi, type);
+      case 'scss':
+        return this.parseThemeVariables(text, /\$m3-([a-z0-9-]+)\s*:\s*([^;]*)/gi, type);
+      default:
+        throw new M3ThemeImportError(M3ThemeImportError.UNSUPPORTED_FORMAT,
+          type ? `不支持的主题格式：${type}` : '无法识别主题格式', { format: type });
+    }
+  }
+  
+  /**
+   * 按内容判断主题配置的格式
+   * @param {string} text - 配置文本
+   * @returns {string|null} 'json' | 'css' | 'scss'，无法识别时为 null
+   */
+  static detectThemeFormat(text) {
+    if (typeof text !== 'string') return null;
+    
+    const content = text.trim();
+    if (content.startsWith('{')) return 'json';
+    if (/--m3-sys-[a-z0-9-]+\s*:/i.test(content)) return 'css';
+    if (/\$m3-[a-z0-9-]+\s*:/i.test(content)) return 'scss';
+    return null;
+  }
+  
+  /**
+   * 解析JSON主题：exportTheme('json') 的导出或 Material Theme Builder 的导出
+   * @param {string} text - JSON文本
+   * @returns {Object} 主题数据，见 parseTheme
+   */
+  parseThemeJSON(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new M3ThemeImportError(M3ThemeImportError.INVALID_SYNTAX,
+        `主题JSON格式错误：${e.message}`, { format: 'json', cause: e });
+    }
+    
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new M3ThemeImportError(M3ThemeImportError.INVALID_THEME,
+        '主题JSON必须是对象', { format: 'json' });
+    }
+    
+    if (json.schemes && typeof json.schemes === 'object') {
+      return this.parseMaterialThemeBuilder(json);
+    }
+    
+    // 导出的颜色就是用户看到的颜色，直接采用，不受配色算法版本影响
+    const scheme = json.scheme && typeof json.scheme === 'object' ? json.scheme : {};
+    const data = M3ThemeEngine.validateThemeData(Object.assign({}, json, {
+      version: M3ThemeEngine.STORAGE_VERSION,
+      algorithm: M3ColorExtractor.ALGORITHM_VERSION,
+      seed: json.seed || scheme.primary
+    }));
+    
+    if (!data) {
+      throw new M3ThemeImportError(M3ThemeImportError.INVALID_THEME,
+        '主题JSON缺少有效的种子色', { format: 'json' });
+    }
+    
+    return data;
+  }
+  
+  /**
+   * 解析 Material Theme Builder 导出的JSON：按当前明暗与对比度选用对应的方案，
+   * 并找出与之相符的方案变体，之后切换明暗或对比度时生成的颜色与导出的一致
+   * @param {Object} json - { seed, coreColors, extendedColors, schemes }
+   * @returns {Object} 主题数据，见 parseTheme
+   */
+  parseMaterialThemeBuilder(json) {
+    const isHex = value => typeof value === 'string' && /^#[0-9A-F]{6}$/i.test(value);
+    const seed = [json.seed, json.coreColors && json.coreColors.primary].find(isHex);
+    
+    if (!seed) {
+      throw new M3ThemeImportError(M3ThemeImportError.INVALID_THEME,
+        'Material Theme Builder 主题缺少有效的种子色', { format: 'json' });
+    }
+    
+    const extended = (Array.isArray(json.extendedColors) ? json.extendedColors : [])
+      .filter(color => color && typeof color === 'object')
+      .map(color => ({
+        source: color,
+        custom: M3ColorExtractor.normalizeCustomColors([{
+          name: String(color.name || '').replace(/^[A-Z]/, letter => letter.toLowerCase()),
+          value: color.color,
+          harmonize: Boolean(color.harmonized)
+        }])[0]
+      }))
+      .filter(({ custom }) => custom);
+    const customColors = M3ColorExtractor.normalizeCustomColors(extended.map(({ custom }) => custom));
+    
+    const isDark = this.isDark;
+    // 选用不高于当前对比度的最高一档，降低对比度时使用标准方案
+    const [name, , contrastLevel] = M3ThemeEngine.MTB_SCHEMES
+      .filter(([key, dark, level]) => dark === isDark && level <= this.contrastLevel && json.schemes[key])
+      .pop() || [isDark ? 'dark' : 'light', isDark, 0];
+    const standard = M3ThemeEngine.validateScheme(json.schemes[name]);
+    
+    // 扩展颜色的角色取自方案本身，或 extendedColors 中该方案下的取值
+    const extendedRoles = {};
+    extended.forEach(({ source, custom: { name: role } }) => {
+      const values = source[name] || {};
+      const Role = role.charAt(0).toUpperCase() + role.slice(1);
+      Object.assign(extendedRoles, {
+        [role]: values.color,
+        [`on${Role}`]: values.onColor,
+        [`${role}Container`]: values.colorContainer,
+        [`on${Role}Container`]: values.onColorContainer
+      });
+    });
+    let scheme = standard &&
+      M3ThemeEngine.validateScheme(Object.assign(extendedRoles, json.schemes[name]), customColors);
+    
+    const roles = M3ColorExtractor.getSchemeRoleNames();
+    const variant = (standard && M3ColorExtractor.SCHEME_VARIANTS.find((candidate) => {
+      const generated = M3ColorExtractor.generateSchemeFromColor(seed, isDark, candidate, contrastLevel);
+      return roles.every(role => generated[role] === standard[role].toUpperCase());
+    })) || 'tonalSpot';
+    
+    // 没有扩展颜色角色的导出（如 Material Theme Builder 只给出颜色值）：按种子色补齐
+    if (standard && !scheme) {
+      const generated = M3ColorExtractor.generateSchemeFromColor(
+        seed, isDark, variant, contrastLevel, customColors
+      );
+      scheme = Object.assign(M3ThemeEngine.validateScheme(generated, customColors), standard);
+    }
+    
+    return {
+      version: M3ThemeEngine.STORAGE_VERSION,
+      seed: seed.toUpperCase(),
+      isDark,
+      variant,
+      contrastLevel,
+      customColors,
+      scheme
+    };
+  }
+  
+  /**
+   * 解析CSS自定义属性或SCSS变量；成组出现的非标准角色
+   * （如 success、on-success、success-container、on-success-container）视为自定义颜色
+   * @param {string} text - 配置文本
+   * @param {RegExp} pattern - 匹配角色名和值的全局正则
+   * @param {string} format - 'css' | 'scss'
+   * @returns {Object} 主题数据，见 parseTheme
+   */
+  parseThemeVariables(text, pattern, format) {
+    const roles = {};
+    let match;
+    
+    while ((match = pattern.exec(text))) {
+      const value = match[2].trim();
+      if (!/^#[0-9A-F]{6}$/i.test(value)) {
+        throw new M3ThemeImportError(M3ThemeImportError.INVALID_THEME,
+          `${match[1]} 的值 "${value}" 不是 #RRGGBB 颜色`, { format });
+      }
+      roles[this.camelCase(match[1])] = value.toUpperCase();
+    }
+    
+    if (!roles.primary) {
+      throw new M3ThemeImportError(M3ThemeImportError.INVALID_THEME,
+        '主题变量中缺少 primary 颜色', { format });
+    }
+    
+    const customColors = M3ColorExtractor.normalizeCustomColors(
+      Object.keys(roles)
+        .filter(name => !(name in M3ColorExtractor.SCHEME_ROLES))
+        .filter((name) => {
+          const Name = name.charAt(0).toUpperCase() + name.slice(1);
+          return Object.keys(M3ColorExtractor.customColorRoles(name, Name)).every(role => role in roles);
+        })
+        .map(name => ({ name, value: roles[name], harmonize: false }))
+    );
+    const scheme = M3ThemeEngine.validateScheme(roles, customColors);
+    
+    return {
+      version: M3ThemeEngine.STORAGE_VERSION,
+      seed: roles.primary,
+      isDark: roles.surface ? this.isDarkScheme(roles) : this.isDark,
+      variant: this.variant,
+      contrastLevel: this.contrastLevel,
+      customColors,
+      scheme
+    };
+  }
+  
   /**
    * 触发主题变化事件
    */
   dispatchThemeChange() {
-    window.dispatchEvent(new CustomEvent('m3-theme-change', {
+    this.getEventTarget().dispatchEvent(new CustomEvent('m3-theme-change', {
       detail: this.getThemeInfo()
     }));
   }
   
+  /**
+   * 获取对比度级别的显示名称
+   * @param {number} level - 对比度级别
+   * @returns {string} 显示名称
+   */
+  getContrastLabel(level) {
+    if (level < 0) return '降低';
+    if (level === 0) return '标准';
+    if (level < 1) return '中等';
+    return '高';
+  }
+  
+  /**
+   * 获取方案变体的显示名称
+   * @param {string} variant - 方案变体
+   * @returns {string} 显示名称
+   */
+  getVariantLabel(variant) {
+    const entry = M3ThemeEngine.VARIANT_LABELS.find(([value]) => value === variant);
+    return entry ? entry[1] : variant;
+  }
+  
   /**
    * 转换为kebab-case
    * @param {string} str - 输入字符串
@@ -348,6 +2021,15 @@ class M3ThemeEngine {
     return str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
   }
   
+  /**
+   * 转换为camelCase
+   * @param {string} str - kebab-case字符串
+   * @returns {string} camelCase字符串
+   */
+  camelCase(str) {
+    return str.toLowerCase().replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+  }
+  
   /**
    * 创建主题控制界面
    * @param {HTMLElement} container - 容器元素
@@ -372,17 +2054,22 @@ class M3ThemeEngine {
             <div class="m3-control-group">
               <label class="m3-control-label">主题模式</label>
               <div class="m3-control-buttons">
-                <button class="m3-button ${!this.isDark ? 'tonal' : 'outlined'}" 
+                <button class="m3-button ${this.themeMode === 'light' ? 'tonal' : 'outlined'}" 
                         id="m3-theme-light">
                   亮色模式
                 </button>
-                <button class="m3-button ${this.isDark ? 'tonal' : 'outlined'}" 
+                <button class="m3-button ${this.themeMode === 'dark' ? 'tonal' : 'outlined'}" 
                         id="m3-theme-dark">
                   暗色模式
                 </button>
-                <button class="m3-button outlined" id="m3-theme-auto">
+                <button class="m3-button ${this.themeMode === 'system' ? 'tonal' : 'outlined'}" 
+                        id="m3-theme-auto">
                   跟随系统
                 </button>
+                <button class="m3-button ${this.themeMode === 'schedule' ? 'tonal' : 'outlined'}" 
+                        id="m3-theme-schedule">
+                  定时切换
+                </button>
               </div>
             </div>
             
@@ -405,6 +2092,15 @@ class M3ThemeEngine {
               </div>
             </div>
             
+            <div class="m3-control-group">
+              <label class="m3-control-label" for="m3-scheme-variant">配色风格</label>
+              <select class="m3-text-field" id="m3-scheme-variant">
+                ${M3ThemeEngine.VARIANT_LABELS.map(([value, label]) => `
+                  <option value="${value}" ${value === this.variant ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+            
             <div class="m3-preset-colors" id="m3-preset-colors">
               <div class="m3-preset-title">预设颜色</div>
               <div class="m3-preset-grid">
@@ -473,8 +2169,8 @@ class M3ThemeEngine {
                 <input type="range" 
                        class="m3-slider" 
                        id="m3-contrast-slider" 
-                       min="1" max="3" step="0.1" value="1">
-                <span class="m3-slider-value" id="m3-contrast-value">标准</span>
+                       min="-1" max="1" step="0.5" value="${this.contrastLevel}">
+                <span class="m3-slider-value" id="m3-contrast-value">${this.getContrastLabel(this.contrastLevel)}</span>
               </div>
             </div>
             
@@ -525,7 +2221,33 @@ class M3ThemeEngine {
                 <input type="radio" name="export-format" value="scss">
                 SCSS变量
               </label>
+              <label class="m3-radio-label">
+                <input type="radio" name="export-format" value="mtb">
+                Material Theme Builder
+              </label>
             </div>
+            
+            <dialog class="m3-import-dialog" id="m3-import-dialog">
+              <form method="dialog">
+                <h4>导入主题</h4>
+                <p>粘贴导出的 JSON、CSS 或 SCSS，或 Material Theme Builder 导出的 JSON</p>
+                <textarea class="m3-text-field" 
+                          id="m3-import-text" 
+                          rows="8" 
+                          placeholder=":root { --m3-sys-primary: #6750A4; ... }"></textarea>
+                <div class="m3-import-actions">
+                  <label class="m3-file-input">
+                    <input type="file" 
+                           id="m3-import-file" 
+                           accept=".json,.css,.scss,application/json,text/css,text/plain" 
+                           style="display: none;">
+                    选择文件
+                  </label>
+                  <button class="m3-button text" value="cancel">取消</button>
+                  <button class="m3-button" value="import" id="m3-import-confirm">导入</button>
+                </div>
+              </form>
+            </dialog>
           </div>
         </div>
         
@@ -557,20 +2279,11 @@ class M3ThemeEngine {
    */
   initControllerEvents(container) {
     // 主题模式切换
-    container.querySelector('#m3-theme-light').addEventListener('click', () => {
-      this.toggleTheme(false);
-      this.updateControllerUI(container);
-    });
-    
-    container.querySelector('#m3-theme-dark').addEventListener('click', () => {
-      this.toggleTheme(true);
-      this.updateControllerUI(container);
-    });
-    
-    container.querySelector('#m3-theme-auto').addEventListener('click', () => {
-      localStorage.removeItem('m3-theme-data');
-      this.watchSystemTheme();
-      this.updateControllerUI(container);
+    M3ThemeEngine.MODE_BUTTONS.forEach(([selector, mode]) => {
+      container.querySelector(selector).addEventListener('click', (e) => {
+        this.setThemeMode(mode, { transition: 'reveal', origin: e.currentTarget })
+          .then(() => this.updateControllerUI(container));
+      });
     });
     
     // 种子颜色
@@ -598,6 +2311,12 @@ class M3ThemeEngine {
       }
     });
     
+    // 配色风格
+    container.querySelector('#m3-scheme-variant').addEventListener('change', (e) => {
+      this.applyTheme(this.currentSeed, this.isDark, e.target.value);
+      this.updateControllerUI(container);
+    });
+    
     // 预设颜色
     container.querySelectorAll('.m3-preset-color').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -617,48 +2336,62 @@ class M3ThemeEngine {
     const applyWallpaperBtn = container.querySelector('#m3-apply-wallpaper');
     const clearWallpaperBtn = container.querySelector('#m3-clear-wallpaper');
     
+    // 选择的图片文件直接交给取色，并以Blob保存，避免把巨大的data URL写进存储
+    let wallpaperSource = null;
+    
+    wallpaperUrl.addEventListener('input', () => {
+      wallpaperSource = null;
+    });
+    
     wallpaperFile.addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (file) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          wallpaperUrl.value = event.target.result;
-          this.updateWallpaperPreview(container, event.target.result);
-        };
-        reader.readAsDataURL(file);
+        wallpaperSource = file;
+        wallpaperUrl.value = '';
+        this.updateWallpaperPreview(container, file);
       }
     });
     
     applyWallpaperBtn.addEventListener('click', () => {
-      const imageUrl = wallpaperUrl.value;
-      if (imageUrl) {
-        this.applyImageTheme(imageUrl);
-        this.updateControllerUI(container);
+      const image = wallpaperSource || wallpaperUrl.value;
+      if (image) {
+        this.applyImageTheme(image)
+          .then(() => this.updateControllerUI(container))
+          .catch((error) => {
+            // 再次点击取代了本次取色，或引擎已销毁
+            if (error.code === M3ExtractionError.SUPERSEDED) return;
+            alert(`壁纸取色失败：${error.message}`);
+          });
       }
     });
     
     clearWallpaperBtn.addEventListener('click', () => {
+      wallpaperSource = null;
       wallpaperFile.value = '';
       wallpaperUrl.value = '';
-      container.querySelector('#m3-wallpaper-preview').innerHTML = '';
-      localStorage.removeItem('m3-wallpaper-url');
+      this.updateWallpaperPreview(container, null);
+      this.writeStorage(this.wallpaperStorageKey, null, this.wallpaperStorage);
     });
     
     // 高级设置
     const contrastSlider = container.querySelector('#m3-contrast-slider');
     const contrastValue = container.querySelector('#m3-contrast-value');
     
+    const highContrastCheckbox = container.querySelector('#m3-high-contrast');
+    
     contrastSlider.addEventListener('input', (e) => {
       const value = parseFloat(e.target.value);
-      contrastValue.textContent = value === 1 ? '标准' : 
-                                 value === 2 ? '增强' : 
-                                 '最大';
-      
-      // 应用对比度设置
-      document.documentElement.style.setProperty(
-        '--m3-contrast-multiplier', 
-        value
-      );
+      contrastValue.textContent = this.getContrastLabel(value);
+    });
+    
+    contrastSlider.addEventListener('change', (e) => {
+      this.setContrastLevel(parseFloat(e.target.value));
+      this.updateControllerUI(container);
+    });
+    
+    highContrastCheckbox.addEventListener('change', (e) => {
+      this.setContrastLevel(e.target.checked ? 1 : 0);
+      this.updateControllerUI(container);
     });
     
     // 导入导出
@@ -671,11 +2404,75 @@ class M3ThemeEngine {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `m3-theme-${new Date().getTime()}.${format}`;
+      a.download = `m3-theme-${new Date().getTime()}.${format === 'mtb' ? 'json' : format}`;
       a.click();
       URL.revokeObjectURL(url);
     });
     
+    const importDialog = container.querySelector('#m3-import-dialog');
+    const importText = container.querySelector('#m3-import-text');
+    // 不支持 <dialog> 的浏览器中作为控制面板内的普通面板显示
+    const nativeDialog = typeof importDialog.showModal === 'function';
+    
+    const importFromText = () => {
+      if (!importText.value.trim()) return;
+      
+      this.importTheme(importText.value, 'auto', { transition: 'interpolate' })
+        .then(() => this.updateControllerUI(container))
+        .catch(error => alert(`导入主题失败：${error.message}`));
+    };
+    
+    container.querySelector('#m3-import-theme').addEventListener('click', () => {
+      importText.value = '';
+      importDialog.returnValue = '';
+      
+      if (nativeDialog) {
+        importDialog.showModal();
+      } else {
+        importDialog.hidden = false;
+        importDialog.setAttribute('open', '');
+      }
+    });
+    
+    // 选择的文件读入文本框，确认后再导入
+    container.querySelector('#m3-import-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        const reading = typeof file.text === 'function'
+          ? file.text()
+          : new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+          });
+        
+        reading
+          .then((text) => {
+            importText.value = text;
+          })
+          .catch(error => alert(`读取文件失败：${error.message}`));
+      }
+    });
+    
+    if (nativeDialog) {
+      importDialog.addEventListener('close', () => {
+        if (importDialog.returnValue === 'import') importFromText();
+      });
+    } else {
+      // 没有 method="dialog" 时按钮会提交表单并跳转页面：改为直接处理
+      importDialog.hidden = true;
+      importDialog.querySelectorAll('button[value]').forEach((button) => {
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          importDialog.hidden = true;
+          importDialog.removeAttribute('open');
+          if (button.value === 'import') importFromText();
+        });
+      });
+    }
+    
     container.querySelector('#m3-reset-theme').addEventListener('click', () => {
       if (confirm('确定要重置主题为默认设置吗？')) {
         this.resetToDefault();
@@ -684,7 +2481,7 @@ class M3ThemeEngine {
     });
     
     // 监听主题变化事件
-    window.addEventListener('m3-theme-change', () => {
+    this.getEventTarget().addEventListener('m3-theme-change', () => {
       this.updateControllerUI(container);
     });
   }
@@ -705,32 +2502,40 @@ class M3ThemeEngine {
       indicator.style.backgroundColor = '#FFF';
       statusText.textContent = '亮色模式';
     }
+    if (this.themeMode === 'system') {
+      statusText.textContent += '（跟随系统）';
+    } else if (this.themeMode === 'schedule') {
+      statusText.textContent += '（定时）';
+    }
     
     // 更新颜色输入
     container.querySelector('#m3-seed-color').value = this.currentSeed;
     container.querySelector('#m3-seed-hex').value = this.currentSeed;
+    container.querySelector('#m3-scheme-variant').value = this.variant;
     
-    // 更新按钮状态
-    const lightBtn = container.querySelector('#m3-theme-light');
-    const darkBtn = container.querySelector('#m3-theme-dark');
+    // 更新对比度控件
+    container.querySelector('#m3-contrast-slider').value = this.contrastLevel;
+    container.querySelector('#m3-contrast-value').textContent = this.getContrastLabel(this.contrastLevel);
+    container.querySelector('#m3-high-contrast').checked = this.contrastLevel >= 1;
     
-    if (this.isDark) {
-      lightBtn.className = 'm3-button outlined';
-      darkBtn.className = 'm3-button tonal';
-    } else {
-      lightBtn.className = 'm3-button tonal';
-      darkBtn.className = 'm3-button outlined';
-    }
+    // 更新按钮状态
+    M3ThemeEngine.MODE_BUTTONS.forEach(([selector, mode]) => {
+      container.querySelector(selector).className =
+        `m3-button ${this.themeMode === mode ? 'tonal' : 'outlined'}`;
+    });
     
     // 更新当前方案预览
     this.updateCurrentSchemePreview(container);
     
     // 检查是否有壁纸
-    const wallpaperUrl = localStorage.getItem('m3-wallpaper-url');
-    if (wallpaperUrl) {
-      container.querySelector('#m3-wallpaper-url').value = wallpaperUrl;
-      this.updateWallpaperPreview(container, wallpaperUrl);
-    }
+    this.getWallpaper().then((wallpaper) => {
+      if (!wallpaper) return;
+      
+      if (typeof wallpaper === 'string') {
+        container.querySelector('#m3-wallpaper-url').value = wallpaper;
+      }
+      this.updateWallpaperPreview(container, wallpaper);
+    });
   }
   
   /**
@@ -766,6 +2571,7 @@ class M3ThemeEngine {
       <div class="m3-scheme-preview-info">
         种子色: <span style="color: ${this.currentSeed}">${this.currentSeed}</span>
         • 模式: ${this.isDark ? '暗色' : '亮色'}
+        • 风格: ${this.getVariantLabel(this.variant)}
       </div>
     `;
   }
@@ -775,9 +2581,25 @@ class M3ThemeEngine {
    * @param {HTMLElement} container - 容器元素
    * @param {string} imageUrl - 图片URL
    */
-  updateWallpaperPreview(container, imageUrl) {
+  updateWallpaperPreview(container, image) {
     const preview = container.querySelector('#m3-wallpaper-preview');
     
+    // 释放上一张图片文件的预览地址
+    if (this.wallpaperPreviewUrl) {
+      URL.revokeObjectURL(this.wallpaperPreviewUrl);
+      this.wallpaperPreviewUrl = null;
+    }
+    
+    if (!image) {
+      preview.innerHTML = '';
+      return;
+    }
+    
+    let imageUrl = image;
+    if (M3ThemeEngine.isBlob(image)) {
+      imageUrl = this.wallpaperPreviewUrl = URL.createObjectURL(image);
+    }
+    
     preview.innerHTML = `
       <div class="m3-wallpaper-image">
         <img src="${imageUrl}" alt="壁纸预览">
@@ -790,10 +2612,100 @@ class M3ThemeEngine {
   }
 }
 
-// 创建全局实例
-window.M3Theme = new M3ThemeEngine();
+// 方案过渡动画的默认时长（毫秒），与 --m3-motion-duration-medium-4 一致
+M3ThemeEngine.TRANSITION_DURATION = 300;
+
+// 默认的本地存储键名（全局实例使用）
+M3ThemeEngine.DEFAULT_STORAGE_KEY = 'm3-theme-data';
+M3ThemeEngine.DEFAULT_WALLPAPER_STORAGE_KEY = 'm3-wallpaper-url';
+M3ThemeEngine.DEFAULT_MODE_STORAGE_KEY = 'm3-theme-mode';
+M3ThemeEngine.DEFAULT_SCHEDULE_STORAGE_KEY = 'm3-theme-schedule';
+
+// 保存的主题数据格式版本
+M3ThemeEngine.STORAGE_VERSION = 2;
+
+// 主题数据迁移：键为旧版本号，函数把该版本的数据转换为下一版本
+M3ThemeEngine.STORAGE_MIGRATIONS = {
+  // 第1版没有版本号和算法版本，保存的颜色来自旧算法，加载时按种子色重新生成
+  1: data => Object.assign({}, data, { version: 2, algorithm: null })
+};
+
+// 主题模式
+M3ThemeEngine.THEME_MODES = ['light', 'dark', 'system', 'schedule'];
+
+// Material Theme Builder 导出的方案：[名称, 是否暗色, 对比度级别]
+M3ThemeEngine.MTB_SCHEMES = [
+  ['light', false, 0],
+  ['light-medium-contrast', false, 0.5],
+  ['light-high-contrast', false, 1],
+  ['dark', true, 0],
+  ['dark-medium-contrast', true, 0.5],
+  ['dark-high-contrast', true, 1]
+];
+
+// Material Theme Builder 导出的调色板色调
+M3ThemeEngine.MTB_PALETTE_TONES = [0, 5, 10, 15, 20, 25, 30, 35, 40, 50, 60, 70, 80, 90, 95, 98, 99, 100];
+
+// 控制器中主题模式按钮与模式的对应关系
+M3ThemeEngine.MODE_BUTTONS = [
+  ['#m3-theme-light', 'light'],
+  ['#m3-theme-dark', 'dark'],
+  ['#m3-theme-auto', 'system'],
+  ['#m3-theme-schedule', 'schedule']
+];
+
+// 定时切换：默认时间，以及最长的重新检查间隔（毫秒）
+M3ThemeEngine.DEFAULT_SCHEDULE = { darkFrom: '19:00', lightFrom: '07:00' };
+M3ThemeEngine.SCHEDULE_CHECK_INTERVAL = 60000;
+
+// 对比度检查的角色对：[前景, 背景, 类型(text 文字 / ui 非文字元素)]
+M3ThemeEngine.AUDIT_PAIRS = [
+  ['onPrimary', 'primary', 'text'],
+  ['onPrimaryContainer', 'primaryContainer', 'text'],
+  ['onSecondary', 'secondary', 'text'],
+  ['onSecondaryContainer', 'secondaryContainer', 'text'],
+  ['onTertiary', 'tertiary', 'text'],
+  ['onTertiaryContainer', 'tertiaryContainer', 'text'],
+  ['onError', 'error', 'text'],
+  ['onErrorContainer', 'errorContainer', 'text'],
+  
+  ['onSurface', 'surface', 'text'],
+  ['onSurface', 'surfaceDim', 'text'],
+  ['onSurface', 'surfaceBright', 'text'],
+  ['onSurface', 'surfaceContainerLowest', 'text'],
+  ['onSurface', 'surfaceContainerLow', 'text'],
+  ['onSurface', 'surfaceContainer', 'text'],
+  ['onSurface', 'surfaceContainerHigh', 'text'],
+  ['onSurface', 'surfaceContainerHighest', 'text'],
+  ['onSurfaceVariant', 'surface', 'text'],
+  ['onSurfaceVariant', 'surfaceVariant', 'text'],
+  ['onSurfaceVariant', 'surfaceContainerHighest', 'text'],
+  ['inverseOnSurface', 'inverseSurface', 'text'],
+  ['inversePrimary', 'inverseSurface', 'ui'],
+  
+  ['onPrimaryFixed', 'primaryFixed', 'text'],
+  ['onPrimaryFixedVariant', 'primaryFixed', 'text'],
+  ['onSecondaryFixed', 'secondaryFixed', 'text'],
+  ['onSecondaryFixedVariant', 'secondaryFixed', 'text'],
+  ['onTertiaryFixed', 'tertiaryFixed', 'text'],
+  ['onTertiaryFixedVariant', 'tertiaryFixed', 'text'],
+  
+  ['primary', 'surface', 'ui'],
+  ['outline', 'surface', 'ui']
+];
+
+// 方案变体及其显示名称
+M3ThemeEngine.VARIANT_LABELS = [
+  ['tonalSpot', '色调点缀'],
+  ['vibrant', '鲜艳'],
+  ['expressive', '表现力'],
+  ['fidelity', '保真'],
+  ['content', '内容'],
+  ['neutral', '中性'],
+  ['monochrome', '单色'],
+  ['rainbow', '彩虹'],
+  ['fruitSalad', '水果沙拉']
+];
 
-// 自动加载保存的主题
-document.addEventListener('DOMContentLoaded', () => {
-  window.M3Theme.loadFromLocalStorage();
-});
\ No newline at end of file
+// 创建全局实例：加载保存的主题并跟随系统主题
+window.M3Theme = new M3ThemeEngine({ autoApply: true, followSystem: true });
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Material Design 3 - 主题存储适配器
+ * 适配器实现 get(key) / set(key, value) / remove(key) 三个方法，均返回Promise，
+ * 不存在的键解析为 null；自定义后端（如用户资料API）实现同样的三个方法即可
+ */
+class M3ThemeStorage {
+  /**
+   * 创建存储适配器
+   * @param {string|Object} storage - 'local' | 'session' | 'indexeddb' | 'cookie' | 'memory'，
+   *   或实现了 get/set/remove 的自定义适配器
+   * @returns {Object} 存储适配器
+   */
+  static create(storage) {
+    if (storage && typeof storage === 'object') {
+      if (['get', 'set', 'remove'].every(method => typeof storage[method] === 'function')) {
+        return storage;
+      }
+      throw new TypeError('Theme storage adapters must implement get, set and remove');
+    }
+
+    switch (storage) {
+      case 'local':
+        return new M3WebStorageAdapter(() => window.localStorage);
+      case 'session':
+        return new M3WebStorageAdapter(() => window.sessionStorage);
+      case 'indexeddb':
+        return new M3IndexedDBStorageAdapter();
+      case 'cookie':
+        return new M3CookieStorageAdapter();
+      case 'memory':
+        return new M3MemoryStorageAdapter();
+      default:
+        throw new TypeError(`Unknown theme storage "${storage}"`);
+    }
+  }
+
+  /**
+   * 当前环境是否支持IndexedDB
+   * @returns {boolean}
+   */
+  static hasIndexedDB() {
+    return typeof indexedDB !== 'undefined';
+  }
+}
+
+/**
+ * localStorage / sessionStorage 适配器，只能保存字符串
+ */
+class M3WebStorageAdapter {
+  /**
+   * @param {Function} getStorage - 返回 Storage 对象；延迟获取，访问被禁止时在读写时才报错
+   */
+  constructor(getStorage) {
+    this.getStorage = getStorage;
+  }
+
+  get storage() {
+    return this.getStorage();
+  }
+
+  get(key) {
+    return new Promise(resolve => resolve(this.storage.getItem(key)));
+  }
+
+  set(key, value) {
+    return new Promise((resolve) => {
+      if (typeof value !== 'string') {
+        throw new TypeError('Web storage can only store strings');
+      }
+      this.storage.setItem(key, value);
+      resolve();
+    });
+  }
+
+  remove(key) {
+    return new Promise(resolve => resolve(this.storage.removeItem(key)));
+  }
+}
+
+/**
+ * IndexedDB 适配器，可保存 Blob 等可结构化克隆的值；首次读写时才打开数据库
+ */
+class M3IndexedDBStorageAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.databaseName - 数据库名
+   * @param {string} options.storeName - 对象仓库名
+   */
+  constructor({ databaseName = 'm3-theme', storeName = 'theme' } = {}) {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.database = null;
+  }
+
+  /**
+   * 打开数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // 打开失败后允许重试
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+
+    return this.database;
+  }
+
+  /**
+   * 在事务中执行一个请求，事务完成后解析为请求结果
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} run - (store) => IDBRequest
+   * @returns {Promise<*>}
+   */
+  request(mode, run) {
+    return this.open().then(database => new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = run(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  get(key) {
+    return this.request('readonly', store => store.get(key))
+      .then(value => (value === undefined ? null : value));
+  }
+
+  set(key, value) {
+    return this.request('readwrite', store => store.put(value, key)).then(() => {});
+  }
+
+  remove(key) {
+    return this.request('readwrite', store => store.delete(key)).then(() => {});
+  }
+}
+
+/**
+ * Cookie 适配器，便于服务端渲染时读取主题；单个值不能超过 MAX_SIZE
+ */
+class M3CookieStorageAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.path - Cookie 路径
+   * @param {number} options.maxAge - 有效期（秒）
+   */
+  constructor({ path = '/', maxAge = 60 * 60 * 24 * 365 } = {}) {
+    this.path = path;
+    this.maxAge = maxAge;
+  }
+
+  get(key) {
+    return new Promise((resolve) => {
+      const name = `${encodeURIComponent(key)}=`;
+      const cookie = document.cookie.split('; ').find(item => item.startsWith(name));
+      resolve(cookie ? decodeURIComponent(cookie.slice(name.length)) : null);
+    });
+  }
+
+  set(key, value) {
+    return new Promise((resolve) => {
+      if (typeof value !== 'string') {
+        throw new TypeError('Cookies can only store strings');
+      }
+
+      const cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+      if (cookie.length > M3CookieStorageAdapter.MAX_SIZE) {
+        throw new RangeError(`Theme data is too large for a cookie (${cookie.length} bytes)`);
+      }
+
+      document.cookie = `${cookie}; path=${this.path}; max-age=${this.maxAge}; SameSite=Lax`;
+      resolve();
+    });
+  }
+
+  remove(key) {
+    return new Promise((resolve) => {
+      document.cookie = `${encodeURIComponent(key)}=; path=${this.path}; max-age=0; SameSite=Lax`;
+      resolve();
+    });
+  }
+}
+
+// 浏览器对单个Cookie（名称加值）的大小限制
+M3CookieStorageAdapter.MAX_SIZE = 4096;
+
+/**
+ * 内存适配器，页面关闭后丢失，适合测试和临时引擎
+ */
+class M3MemoryStorageAdapter {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get(key) {
+    return Promise.resolve(this.values.has(key) ? this.values.get(key) : null);
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+    return Promise.resolve();
+  }
+
+  remove(key) {
+    this.values.delete(key);
+    return Promise.resolve();
+  }
+}
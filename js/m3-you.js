@@ -387,11 +387,12 @@
   
   // 导出一个简单的API用于主题控制
   window.M3 = {
-    // 设置主题
-    setTheme: function(seedColor, isDark) {
-      if (window.M3Theme) {
-        window.M3Theme.applyTheme(seedColor, isDark);
-      }
+    // 设置主题（variant: tonalSpot、vibrant、expressive等配色风格）
+    // 返回Promise，方案应用完成（含过渡动画）后解析为该方案
+    setTheme: function(seedColor, isDark, variant) {
+      return new Promise(resolve => {
+        resolve(window.M3Theme ? window.M3Theme.applyTheme(seedColor, isDark, variant) : null);
+      });
     },
     
     // 切换暗色/亮色模式
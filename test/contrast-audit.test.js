@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3HCTColor, M3ColorExtractor, M3ThemeEngine } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3HCTColor', 'M3ColorExtractor', 'M3ThemeEngine']
+);
+
+const engine = new M3ThemeEngine({ storage: 'memory', storageKey: null, syncTabs: false });
+const customColors = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+
+test('generated schemes pass the AA audit', () => {
+  [false, true].forEach((isDark) => {
+    const scheme = M3ColorExtractor.generateSchemeFromColor('#6750A4', isDark, 'tonalSpot', 0, customColors);
+    const audit = engine.auditScheme(scheme);
+    
+    assert.strictEqual(audit.passed, true, audit.results.filter(r => !r.pass).map(r => r.foreground).join());
+    assert.ok(audit.results.some(r => r.foreground === 'onSuccessContainer'), 'custom color pairs are audited');
+  });
+});
+
+test('failing text pairs are reported and fixed', () => {
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#6750A4', false, 'tonalSpot', 0, customColors);
+  const broken = Object.assign({}, scheme, { onPrimary: scheme.surfaceTint, onSuccess: scheme.success });
+  
+  const audit = engine.auditScheme(broken, { autoFix: true });
+  const failing = Array.from(engine.auditScheme(broken).results.filter(r => !r.pass), r => r.foreground);
+  
+  assert.deepStrictEqual(failing.sort(), ['onPrimary', 'onSuccess']);
+  assert.strictEqual(audit.passed, true);
+  assert.deepStrictEqual(Object.keys(audit.fixes).sort(), ['onPrimary', 'onSuccess']);
+  assert.ok(M3HCTColor.contrastRatio(audit.scheme.onPrimary, audit.scheme.primary) >= 4.5);
+  assert.strictEqual(broken.onPrimary, scheme.surfaceTint, 'the audited scheme is not modified');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { M3HCTColor, M3ColorExtractor, M3ThemeEngine } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3HCTColor', 'M3ColorExtractor', 'M3ThemeEngine']
+);
+
+test('harmonize matches Material Color Utilities blend results', () => {
+  [
+    ['#FF0000', '#0000FF', '#FB0057'],
+    ['#FF0000', '#00FF00', '#D85600'],
+    ['#0000FF', '#00FF00', '#0047A3'],
+    ['#0000FF', '#FF0000', '#5700DC'],
+    ['#00FF00', '#0000FF', '#00FC94'],
+    ['#00FF00', '#FF0000', '#B1F000'],
+    ['#FFFF00', '#0000FF', '#EBFFBA'],
+    ['#FFFF00', '#FF0000', '#FFF6E3']
+  ].forEach(([design, source, expected]) => {
+    assert.strictEqual(M3HCTColor.harmonize(design, source), expected, `${design} → ${source}`);
+  });
+});
+
+test('custom colors add four roles and normalize their names', () => {
+  const customColors = M3ColorExtractor.normalizeCustomColors([
+    { name: 'brand-accent', value: '#ff6d00' },
+    { name: 'brandAccent', value: '#000000' },
+    { name: '', value: '#2E7D32' },
+    { name: 'bad', value: 'red' }
+  ]);
+  assert.deepStrictEqual(Array.from(customColors, color => color.name), ['brandAccent']);
+  
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#6750A4', false, 'tonalSpot', 0, customColors);
+  ['brandAccent', 'onBrandAccent', 'brandAccentContainer', 'onBrandAccentContainer'].forEach((role) => {
+    assert.match(scheme[role], /^#[0-9A-F]{6}$/, role);
+  });
+  assert.ok(M3HCTColor.contrastRatio(scheme.onBrandAccent, scheme.brandAccent) >= 4.5);
+});
+
+test('resetToDefault clears custom colors', () => {
+  const engine = new M3ThemeEngine({ storage: 'memory', storageKey: 'test-reset', syncTabs: false });
+  engine.setCustomColors([{ name: 'success', value: '#2E7D32', harmonize: true }]);
+  assert.ok(engine.currentScheme.success);
+  
+  engine.resetToDefault();
+  assert.deepStrictEqual(plain(engine.customColors), []);
+  assert.strictEqual(engine.currentScheme.success, undefined);
+  assert.strictEqual(engine.currentSeed, '#6750A4');
+  engine.destroy();
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { near } = require('./helpers/fixtures');
+
+const { M3HCTColor } = load(['m3-hct-color.js'], ['M3HCTColor']);
+
+test('HCT matches Material Color Utilities reference values', () => {
+  [
+    ['#FF0000', 27.408, 113.358, 53.233],
+    ['#00FF00', 142.140, 108.410, 87.737],
+    ['#0000FF', 282.788, 87.231, 32.303]
+  ].forEach(([hex, hue, chroma, tone]) => {
+    const color = M3HCTColor.fromHex(hex);
+    near(color.hue, hue, 0.01, `${hex} hue`);
+    near(color.chroma, chroma, 0.01, `${hex} chroma`);
+    near(color.tone, tone, 0.01, `${hex} tone`);
+  });
+  
+  const white = M3HCTColor.fromHex('#FFFFFF');
+  near(white.tone, 100, 1e-6, 'white tone');
+  near(M3HCTColor.fromHex('#000000').tone, 0, 1e-6, 'black tone');
+});
+
+test('sRGB colors survive the CAM16/HCT round trip', () => {
+  for (let rgb = 0; rgb <= 0xFFFFFF; rgb += 0x0A3D71) {
+    const hex = `#${rgb.toString(16).padStart(6, '0').toUpperCase()}`;
+    const color = M3HCTColor.fromHex(hex);
+    assert.strictEqual(M3HCTColor.from(color.hue, color.chroma, color.tone).toHex(), hex);
+  }
+});
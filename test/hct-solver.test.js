@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { near } = require('./helpers/fixtures');
+
+const { M3HCTColor } = load(['m3-hct-color.js'], ['M3HCTColor']);
+
+test('solver maps out-of-gamut chroma to the sRGB boundary and keeps the tone', () => {
+  assert.strictEqual(M3HCTColor.from(27.408, 200, 53.233).toHex(), '#FF0000');
+  
+  [0, 60, 120, 180, 240, 300].forEach((hue) => {
+    [10, 50, 90].forEach((tone) => {
+      const color = M3HCTColor.fromHex(M3HCTColor.from(hue, 200, tone).toHex());
+      near(color.tone, tone, 0.5, `tone at hue ${hue}`);
+      assert.ok(color.chroma < 200, `chroma at hue ${hue} is reduced into gamut`);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+// 测试共用的断言与样本数据
+const assert = require('node:assert');
+
+/**
+ * 断言数值在允许误差内
+ * @param {number} actual - 实际值
+ * @param {number} expected - 期望值
+ * @param {number} tolerance - 允许误差
+ * @param {string} message - 失败时的说明
+ */
+function near(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected} ± ${tolerance}`);
+}
+
+/**
+ * 生成由若干纯色组成的RGBA像素数据
+ * @param {Array} entries - [[0xRRGGBB, 像素数量], ...]
+ * @returns {Uint8ClampedArray}
+ */
+function solidPixels(entries) {
+  const pixels = [];
+  entries.forEach(([rgb, count]) => {
+    for (let i = 0; i < count; i++) {
+      pixels.push((rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255, 255);
+    }
+  });
+  return new Uint8ClampedArray(pixels);
+}
+
+module.exports = { near, solidPixels };
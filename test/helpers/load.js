@@ -0,0 +1,87 @@
+// 在Node中加载浏览器脚本：所有脚本共享一个vm上下文，相当于在页面中按顺序引入多个<script>
+// 运行测试：node --test test/*.test.js
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * 创建只含引擎所需最小DOM接口的全局环境
+ * @returns {Object} vm上下文
+ */
+function createContext() {
+  const noop = () => {};
+  const values = new Map();
+  
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    Blob,
+    AbortController,
+    CustomEvent: class CustomEvent {
+      constructor(type, { detail = null } = {}) {
+        this.type = type;
+        this.detail = detail;
+      }
+    },
+    document: {
+      documentElement: {
+        style: { setProperty: noop, removeProperty: noop, getPropertyValue: () => '' },
+        setAttribute: noop,
+        removeAttribute: noop
+      },
+      visibilityState: 'visible',
+      addEventListener: noop,
+      removeEventListener: noop
+    },
+    localStorage: {
+      getItem: key => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: key => values.delete(key)
+    },
+    matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+    addEventListener: noop,
+    removeEventListener: noop,
+    dispatchEvent: noop
+  };
+  context.window = context;
+  
+  return vm.createContext(context);
+}
+
+/**
+ * 按顺序加载 js/ 下的脚本并取出其中的全局类
+ * 加载主题引擎时会创建全局实例 M3Theme，这里随即停止它，避免与测试创建的引擎互相影响
+ * @param {Array<string>} files - 脚本文件名
+ * @param {Array<string>} names - 需要取出的全局名称
+ * @returns {Object} { [name]: value }
+ */
+function load(files, names) {
+  const context = createContext();
+  
+  files.forEach((file) => {
+    const code = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  
+  if (context.M3Theme) {
+    context.M3Theme.destroy();
+  }
+  
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * vm上下文中的对象与测试中的对象原型不同，比较前转为普通数据
+ * @param {*} value - 值
+ * @returns {*}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load, plain };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { solidPixels } = require('./helpers/fixtures');
+
+const { M3ThemeEngine, M3ExtractionError } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine', 'M3ExtractionError']
+);
+
+const createEngine = () => new M3ThemeEngine({ storage: 'memory', storageKey: null, syncTabs: false });
+
+test('applyTheme resolves with the applied scheme', () => {
+  const engine = createEngine();
+  const pending = engine.applyTheme('#FF0000', true);
+  
+  assert.strictEqual(typeof pending.then, 'function');
+  return pending.then((scheme) => {
+    assert.strictEqual(scheme, engine.currentScheme);
+    assert.strictEqual(engine.isDark, true);
+    engine.destroy();
+  });
+});
+
+test('applyImageTheme rejects failures and superseded calls', () => {
+  const engine = createEngine();
+  const pixels = solidPixels([[0xC81E1E, 100]]);
+  
+  const failed = assert.rejects(engine.applyImageTheme(new Uint8ClampedArray(0)),
+    { code: M3ExtractionError.NO_COLORS });
+  
+  return failed.then(() => {
+    const superseded = engine.applyImageTheme(pixels);
+    const latest = engine.applyImageTheme(pixels);
+    
+    return Promise.all([
+      assert.rejects(superseded, { code: M3ExtractionError.SUPERSEDED }),
+      latest.then(scheme => assert.strictEqual(scheme.source, 'image'))
+    ]);
+  }).then(() => engine.destroy());
+});
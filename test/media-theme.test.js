@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { solidPixels } = require('./helpers/fixtures');
+
+const { M3ThemeEngine, M3MemoryStorageAdapter } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine', 'M3MemoryStorageAdapter']
+);
+
+// 以ImageData形式的像素代替视频帧
+const createMedia = () => ({
+  data: solidPixels([[0x1E9628, 100]]),
+  width: 10,
+  height: 10,
+  addEventListener() {},
+  removeEventListener() {}
+});
+
+const followOnce = (options) => {
+  const storage = new M3MemoryStorageAdapter();
+  const writes = [];
+  const set = storage.set.bind(storage);
+  storage.set = (key, value) => {
+    writes.push(key);
+    return set(key, value);
+  };
+  
+  const engine = new M3ThemeEngine({ storage, storageKey: 'test-media', syncTabs: false });
+  const stop = engine.followMedia(createMedia(), Object.assign({ interval: 20, duration: 0 }, options));
+  
+  return new Promise(resolve => setTimeout(resolve, 200)).then(() => {
+    stop();
+    engine.destroy();
+    return { engine, writes };
+  });
+};
+
+test('media-driven schemes are not persisted by default', () => {
+  return followOnce().then(({ engine, writes }) => {
+    assert.strictEqual(engine.currentScheme.source, 'media');
+    assert.strictEqual(engine.currentSeed, '#1E9628');
+    assert.deepStrictEqual(writes, []);
+  });
+});
+
+test('media-driven schemes persist when asked', () => {
+  return followOnce({ persist: true }).then(({ engine, writes }) => {
+    assert.strictEqual(engine.currentScheme.source, 'media');
+    assert.deepStrictEqual(writes, ['test-media']);
+  });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { solidPixels } = require('./helpers/fixtures');
+
+const { M3Quantizer, M3ColorExtractor } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js'],
+  ['M3Quantizer', 'M3ColorExtractor']
+);
+
+const score = (entries, options) =>
+  Array.from(M3ColorExtractor.scoreColors(new Map(entries), options));
+
+test('quantizer keeps exact colors and their populations', () => {
+  const result = M3Quantizer.quantize(solidPixels([[0xFF0000, 60], [0x0000FF, 30], [0x808080, 10]]), 128);
+  
+  assert.strictEqual(result.size, 3);
+  assert.strictEqual(result.get(0xFF0000), 60);
+  assert.strictEqual(result.get(0x0000FF), 30);
+  assert.strictEqual(result.get(0x808080), 10);
+});
+
+test('quantizer ignores transparent and zero-weight pixels', () => {
+  const pixels = solidPixels([[0xFF0000, 2], [0x00FF00, 2]]);
+  pixels[3] = 0;
+  const result = M3Quantizer.quantize(pixels, 128, [1, 1, 0, 1]);
+  
+  assert.deepStrictEqual(Array.from(result.keys()).sort((a, b) => a - b), [0x00FF00, 0xFF0000]);
+  assert.strictEqual(result.get(0xFF0000), M3Quantizer.WEIGHT_SCALE);
+  assert.strictEqual(result.get(0x00FF00), M3Quantizer.WEIGHT_SCALE);
+});
+
+test('k-means starts from the same random assignment as java.util.Random', () => {
+  // new Random(42).nextInt(bound) 与 new Random(0x42688).nextInt(7) 在Java中的输出
+  const random = M3Quantizer.createRandom(42);
+  assert.deepStrictEqual(Array.from({ length: 10 }, () => random(10)), [0, 3, 8, 4, 0, 5, 5, 8, 9, 3]);
+  assert.deepStrictEqual(Array.from({ length: 5 }, () => random(16)), [14, 7, 5, 6, 4]);
+  
+  const quantizerRandom = M3Quantizer.createRandom(M3Quantizer.WSMEANS_RANDOM_SEED);
+  assert.deepStrictEqual(Array.from({ length: 12 }, () => quantizerRandom(7)), [5, 1, 1, 2, 0, 1, 3, 4, 1, 3, 1, 0]);
+});
+
+test('quantizer results are reproducible', () => {
+  const pixels = new Uint8ClampedArray(64 * 64 * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const x = (i / 4) % 64;
+    const y = Math.floor(i / 256);
+    pixels.set([x * 4, y * 4, (x * y) % 256, 255], i);
+  }
+  
+  const first = Array.from(M3Quantizer.quantize(pixels, 128));
+  assert.deepStrictEqual(Array.from(M3Quantizer.quantize(pixels, 128)), first);
+  assert.ok(first.length > 1 && first.length <= 128);
+});
+
+// Material Color Utilities 的 score_test 用例
+test('Score ranks like Material Color Utilities', () => {
+  assert.deepStrictEqual(score([[0x000000, 1], [0xFFFFFF, 1], [0x0000FF, 1]]), ['#0000FF']);
+  assert.deepStrictEqual(score([[0xFF0000, 1], [0x00FF00, 1], [0x0000FF, 1]]), ['#FF0000', '#00FF00', '#0000FF']);
+  assert.deepStrictEqual(score([[0x000000, 1]]), ['#4285F4']);
+  assert.deepStrictEqual(score([[0x008772, 1], [0x318477, 1]]), ['#008772']);
+  assert.deepStrictEqual(score([[0x008772, 1], [0x008587, 1], [0x007EBC, 1]], { desired: 2 }), ['#007EBC', '#008772']);
+  assert.deepStrictEqual(
+    score([[0x7EA16D, 67], [0xD8CCAE, 67], [0x835C0D, 49]], { desired: 3, filter: false }),
+    ['#7EA16D', '#D8CCAE', '#835C0D']
+  );
+  assert.deepStrictEqual(
+    score([[0xD33881, 14], [0x3205CC, 77], [0x0B48CF, 36], [0xA08F5D, 81]], { desired: 4 }),
+    ['#3205CC', '#A08F5D', '#D33881']
+  );
+  assert.deepStrictEqual(
+    score([[0xBE94A6, 23], [0xC33FD7, 42], [0x899F36, 90], [0x94C574, 82]], { desired: 3 }),
+    ['#94C574', '#C33FD7', '#BE94A6']
+  );
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3HCTColor, M3ColorExtractor } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js'],
+  ['M3HCTColor', 'M3ColorExtractor']
+);
+
+test('generated schemes meet role contrast at every contrast level', () => {
+  const pairs = [
+    ['onPrimary', 'primary'],
+    ['onPrimaryContainer', 'primaryContainer'],
+    ['onSecondary', 'secondary'],
+    ['onSecondaryContainer', 'secondaryContainer'],
+    ['onTertiary', 'tertiary'],
+    ['onTertiaryContainer', 'tertiaryContainer'],
+    ['onError', 'error'],
+    ['onErrorContainer', 'errorContainer'],
+    ['onSurface', 'surface'],
+    ['inverseOnSurface', 'inverseSurface']
+  ];
+  
+  ['#6750A4', '#FF0000', '#00FF00', '#0000FF', '#FFEB3B'].forEach((seed) => {
+    M3ColorExtractor.SCHEME_VARIANTS.forEach((variant) => {
+      [false, true].forEach((isDark) => {
+        [0, 0.5, 1].forEach((level) => {
+          const scheme = M3ColorExtractor.generateSchemeFromColor(seed, isDark, variant, level);
+          pairs.forEach(([foreground, background]) => {
+            // 目标对比度不可达时（如高对比度下的21:1），至少应取到纯黑/纯白所能达到的最大值
+            const best = Math.max(
+              M3HCTColor.contrastRatio('#000000', scheme[background]),
+              M3HCTColor.contrastRatio('#FFFFFF', scheme[background])
+            );
+            const required = Math.min(M3ColorExtractor.contrastValue([4.5, 7, 11, 21], level), best);
+            const ratio = M3HCTColor.contrastRatio(scheme[foreground], scheme[background]);
+            assert.ok(ratio >= required - 0.05,
+              `${seed} ${variant} ${isDark ? 'dark' : 'light'} contrast ${level}: ` +
+              `${foreground}/${background} = ${ratio.toFixed(2)}`);
+          });
+        });
+      });
+    });
+  });
+});
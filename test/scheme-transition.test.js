@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3ThemeEngine, document } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine', 'document']
+);
+
+const createElement = () => {
+  const properties = new Map();
+  return {
+    properties,
+    style: {
+      setProperty: (name, value) => properties.set(name, value),
+      removeProperty: name => properties.delete(name)
+    },
+    setAttribute() {},
+    removeAttribute() {},
+    dispatchEvent() {}
+  };
+};
+
+test('reveal falls back to interpolation on scoped engines', () => {
+  let viewTransitions = 0;
+  document.startViewTransition = () => {
+    viewTransitions++;
+    throw new Error('scoped engines must not start a page-wide view transition');
+  };
+  
+  const target = createElement();
+  const engine = new M3ThemeEngine({ target, storage: 'memory', storageKey: null, syncTabs: false });
+  const scheme = engine.generateSchemeFromSeed('#006A6A', true);
+  
+  return engine.applyScheme(scheme, { transition: 'reveal', duration: 0 }).then((applied) => {
+    delete document.startViewTransition;
+    assert.strictEqual(viewTransitions, 0);
+    assert.strictEqual(applied, scheme);
+    assert.strictEqual(target.properties.get('--m3-sys-primary'), scheme.primary);
+    engine.destroy();
+  });
+});
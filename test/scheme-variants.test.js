@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { near } = require('./helpers/fixtures');
+
+const { M3HCTColor, M3ColorExtractor } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js'],
+  ['M3HCTColor', 'M3ColorExtractor']
+);
+
+test('fidelity and content keep the seed tone in the primary container', () => {
+  ['fidelity', 'content'].forEach((variant) => {
+    [false, true].forEach((isDark) => {
+      const scheme = M3ColorExtractor.generateSchemeFromColor('#FF0000', isDark, variant);
+      near(M3HCTColor.fromHex(scheme.primaryContainer).tone, 53.2, 1, `${variant} primaryContainer tone`);
+    });
+  });
+  
+  const tonalSpot = M3ColorExtractor.generateSchemeFromColor('#FF0000', false, 'tonalSpot');
+  near(M3HCTColor.fromHex(tonalSpot.primaryContainer).tone, 90, 1, 'tonalSpot primaryContainer tone');
+});
+
+test('temperature tables are cached per chroma and tone', () => {
+  const color = M3HCTColor.fromHex('#3F51B5');
+  assert.strictEqual(M3HCTColor.temperatureTable(color), M3HCTColor.temperatureTable(color));
+  assert.notStrictEqual(
+    M3HCTColor.temperatureTable(color),
+    M3HCTColor.temperatureTable(M3HCTColor.fromHex('#FF9800'))
+  );
+});
+
+test('monochrome roles use the Material reference tones', () => {
+  // 单色方案的调色板色度为0，明度与灰阶一一对应
+  const gray = { 0: '#000000', 10: '#1B1B1B', 25: '#3B3B3B', 30: '#474747', 40: '#5E5E5E',
+                 70: '#ABABAB', 80: '#C6C6C6', 85: '#D4D4D4', 90: '#E2E2E2', 100: '#FFFFFF' };
+  const expected = {
+    primaryFixed: [40, 40],
+    primaryFixedDim: [30, 30],
+    onPrimaryFixed: [100, 100],
+    onPrimaryFixedVariant: [90, 90],
+    secondaryFixed: [80, 80],
+    secondaryFixedDim: [70, 70],
+    onSecondaryFixed: [10, 10],
+    onSecondaryFixedVariant: [25, 25],
+    tertiaryFixed: [40, 40],
+    tertiaryFixedDim: [30, 30],
+    onTertiaryFixed: [100, 100],
+    onTertiaryFixedVariant: [90, 90],
+    primary: [0, 100],
+    primaryContainer: [25, 85],
+    secondaryContainer: [85, 30],
+    surfaceTint: [40, 80],
+    inversePrimary: [80, 40]
+  };
+  
+  [false, true].forEach((isDark) => {
+    const scheme = M3ColorExtractor.generateSchemeFromColor('#6750A4', isDark, 'monochrome');
+    Object.entries(expected).forEach(([role, tones]) => {
+      assert.strictEqual(scheme[role], gray[tones[isDark ? 1 : 0]], `${isDark ? 'dark' : 'light'} ${role}`);
+    });
+  });
+});
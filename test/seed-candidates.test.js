@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+const { solidPixels } = require('./helpers/fixtures');
+
+const { M3ColorExtractor } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js'],
+  ['M3ColorExtractor']
+);
+
+test('seed candidates rank chromatic colors and skip near-gray ones', () => {
+  const candidates = M3ColorExtractor.extractSeedCandidates(
+    solidPixels([[0x808080, 700], [0x1565C0, 200], [0xC62828, 100]])
+  );
+  const colors = Array.from(candidates, candidate => candidate.color);
+  
+  assert.deepStrictEqual(colors.sort(), ['#1565C0', '#C62828']);
+  candidates.slice(1).forEach((candidate, i) => assert.ok(candidate.score <= candidates[i].score, 'scores descend'));
+});
+
+test('a chosen candidate builds schemes with the given options', () => {
+  const candidates = M3ColorExtractor.extractSeedCandidates(
+    solidPixels([[0x1565C0, 200], [0xC62828, 100]])
+  );
+  const customColors = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+  const result = M3ColorExtractor.generateColorSchemeFromCandidates(candidates, 1, {
+    variant: 'vibrant',
+    contrastLevel: 0.5,
+    customColors
+  });
+  
+  assert.strictEqual(result.primary, candidates[1].color);
+  assert.deepStrictEqual(
+    Object.assign({}, result.scheme.dark),
+    Object.assign({}, M3ColorExtractor.generateSchemeFromColor(candidates[1].color, true, 'vibrant', 0.5, customColors))
+  );
+  assert.strictEqual(
+    M3ColorExtractor.generateColorSchemeFromCandidates(candidates, 9).primary,
+    candidates[0].color,
+    'out-of-range index falls back to the top candidate'
+  );
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3ThemeEngine, M3MemoryStorageAdapter, window } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine', 'M3MemoryStorageAdapter', 'window']
+);
+
+// 同一进程内的 BroadcastChannel：消息异步发给同名的其他通道，并记录所有发出的消息
+const posted = [];
+const channels = new Set();
+window.BroadcastChannel = class BroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    channels.add(this);
+  }
+  
+  postMessage(data) {
+    posted.push(data.key);
+    channels.forEach((channel) => {
+      if (channel !== this && channel.name === this.name && channel.onmessage) {
+        setTimeout(() => channel.onmessage({ data }));
+      }
+    });
+  }
+  
+  close() {
+    channels.delete(this);
+  }
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('tabs exchange only changes the user made', () => {
+  const storage = new M3MemoryStorageAdapter();
+  const options = { storage, storageKey: 'test-sync', themeMode: 'light' };
+  const first = new M3ThemeEngine(options);
+  const second = new M3ThemeEngine(options);
+  
+  return Promise.all([first.init(), second.init()])
+    .then(() => {
+      assert.deepStrictEqual(posted, [], 'restoring the initial state is not broadcast');
+      first.applyTheme('#FF0000');
+      return tick();
+    })
+    .then(() => {
+      assert.deepStrictEqual(posted, ['test-sync'], 'the receiving tab does not echo the change');
+      assert.strictEqual(second.currentScheme.primary, first.currentScheme.primary);
+      
+      first.applyTheme('#FF0000');
+      return tick();
+    })
+    .then(() => {
+      assert.deepStrictEqual(posted, ['test-sync'], 'unchanged values are not broadcast');
+      
+      first.toggleTheme();
+      return tick();
+    })
+    .then(() => {
+      assert.deepStrictEqual(posted, ['test-sync', 'test-sync-mode', 'test-sync']);
+      assert.strictEqual(second.themeMode, 'dark');
+      assert.strictEqual(second.isDark, true);
+      first.destroy();
+      second.destroy();
+    });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { M3ColorExtractor, M3ThemeEngine } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ColorExtractor', 'M3ThemeEngine']
+);
+
+const CUSTOM_COLORS = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+
+test('version 1 theme data migrates and regenerates its colors', () => {
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#123456', true);
+  const data = M3ThemeEngine.validateThemeData({ seed: '#123456', isDark: true, scheme });
+  
+  assert.deepStrictEqual(plain(data), {
+    version: M3ThemeEngine.STORAGE_VERSION,
+    seed: '#123456',
+    isDark: true,
+    variant: 'tonalSpot',
+    contrastLevel: 0,
+    customColors: [],
+    scheme: null
+  });
+});
+
+test('current theme data keeps a valid scheme and drops unknown fields', () => {
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#123456', false, 'expressive', 0, CUSTOM_COLORS);
+  const data = M3ThemeEngine.validateThemeData({
+    version: M3ThemeEngine.STORAGE_VERSION,
+    algorithm: M3ColorExtractor.ALGORITHM_VERSION,
+    seed: '#123456',
+    variant: 'expressive',
+    contrastLevel: 5,
+    customColors: CUSTOM_COLORS,
+    scheme: Object.assign({ source: 'image', onclick: 'alert(1)' }, scheme)
+  });
+  
+  assert.strictEqual(data.contrastLevel, 1);
+  assert.strictEqual(data.scheme.source, 'image');
+  assert.strictEqual(data.scheme.onclick, undefined);
+  assert.strictEqual(data.scheme.successContainer, scheme.successContainer);
+});
+
+test('invalid theme data is rejected or regenerated', () => {
+  const current = {
+    version: M3ThemeEngine.STORAGE_VERSION,
+    algorithm: M3ColorExtractor.ALGORITHM_VERSION,
+    seed: '#123456'
+  };
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#123456', false);
+  
+  assert.strictEqual(M3ThemeEngine.validateThemeData(null), null);
+  assert.strictEqual(M3ThemeEngine.validateThemeData([]), null);
+  assert.strictEqual(M3ThemeEngine.validateThemeData(Object.assign({}, current, { seed: 'red' })), null);
+  
+  const tampered = Object.assign({}, scheme, { primary: 'url(javascript:alert(1))' });
+  assert.strictEqual(M3ThemeEngine.validateThemeData(Object.assign({}, current, { scheme: tampered })).scheme, null);
+  
+  const newer = M3ThemeEngine.validateThemeData(Object.assign({}, current, { version: 99, variant: 'vibrant', scheme }));
+  assert.strictEqual(newer.variant, 'vibrant');
+  assert.strictEqual(newer.scheme, null);
+});
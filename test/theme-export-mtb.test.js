@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3ColorExtractor, M3ThemeEngine, M3MemoryStorageAdapter } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ColorExtractor', 'M3ThemeEngine', 'M3MemoryStorageAdapter']
+);
+
+const CUSTOM_COLORS = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+
+const createEngine = (options = {}) => new M3ThemeEngine(Object.assign({
+  storage: new M3MemoryStorageAdapter(),
+  storageKey: 'test-theme',
+  syncTabs: false
+}, options));
+
+const createThemedEngine = () => {
+  const engine = createEngine();
+  engine.variant = 'vibrant';
+  engine.contrastLevel = 0.5;
+  engine.setCustomColors(CUSTOM_COLORS);
+  engine.applyTheme('#00796B', true);
+  return engine;
+};
+
+test('Material Theme Builder schemes hold only the standard roles', () => {
+  const source = createThemedEngine();
+  const json = JSON.parse(source.exportTheme('mtb'));
+  const roles = Array.from(M3ColorExtractor.getSchemeRoleNames()).concat('background', 'onBackground');
+  
+  Object.values(json.schemes).forEach((scheme) => {
+    assert.deepStrictEqual(Object.keys(scheme).sort(), roles.sort());
+  });
+  assert.strictEqual(json.extendedColors[0].name, 'success');
+  assert.strictEqual(json.extendedColors[0]['dark-medium-contrast'].color, source.currentScheme.success);
+  assert.strictEqual(
+    json.extendedColors[0]['dark-medium-contrast'].onColorContainer,
+    source.currentScheme.onSuccessContainer
+  );
+  
+  source.destroy();
+});
+
+test('Material Theme Builder exports without extended roles are completed from the seed', () => {
+  const source = createThemedEngine();
+  const json = JSON.parse(source.exportTheme('mtb'));
+  json.extendedColors = json.extendedColors.map(({ name, color, harmonized }) => ({ name, color, harmonized }));
+  
+  const engine = createEngine();
+  engine.isDark = true;
+  engine.contrastLevel = 0.5;
+  const data = engine.parseTheme(JSON.stringify(json));
+  
+  assert.strictEqual(data.scheme.success, source.currentScheme.success);
+  assert.strictEqual(data.scheme.onSuccessContainer, source.currentScheme.onSuccessContainer);
+  
+  source.destroy();
+  engine.destroy();
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { M3ThemeEngine, M3ThemeImportError, M3MemoryStorageAdapter } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine', 'M3ThemeImportError', 'M3MemoryStorageAdapter']
+);
+
+const CUSTOM_COLORS = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+
+const createEngine = (options = {}) => new M3ThemeEngine(Object.assign({
+  storage: new M3MemoryStorageAdapter(),
+  storageKey: 'test-theme',
+  syncTabs: false
+}, options));
+
+const createThemedEngine = () => {
+  const engine = createEngine();
+  engine.variant = 'vibrant';
+  engine.contrastLevel = 0.5;
+  engine.setCustomColors(CUSTOM_COLORS);
+  engine.applyTheme('#00796B', true);
+  return engine;
+};
+
+const assertImportError = (run, code) => {
+  assert.throws(run, error => error instanceof M3ThemeImportError && error.code === code);
+};
+
+test('exported themes parse back to the same scheme', () => {
+  const source = createThemedEngine();
+  const engine = createEngine();
+  engine.isDark = true;
+  engine.contrastLevel = 0.5;
+  
+  ['json', 'css', 'scss', 'mtb'].forEach((format) => {
+    const text = source.exportTheme(format);
+    const data = engine.parseTheme(text);
+    
+    assert.strictEqual(data.isDark, true, format);
+    assert.deepStrictEqual(plain(data.scheme), plain(source.currentScheme), format);
+    assert.deepStrictEqual(
+      Array.from(data.customColors, color => color.name),
+      ['success'],
+      format
+    );
+  });
+  
+  const mtb = engine.parseTheme(source.exportTheme('mtb'), 'mtb');
+  assert.strictEqual(mtb.variant, 'vibrant');
+  assert.strictEqual(mtb.contrastLevel, 0.5);
+  
+  source.destroy();
+  engine.destroy();
+});
+
+test('import parsers report why a theme was rejected', () => {
+  const engine = createEngine();
+  
+  assertImportError(() => engine.parseTheme('not a theme'), M3ThemeImportError.UNSUPPORTED_FORMAT);
+  assertImportError(() => engine.parseTheme('{}', 'xml'), M3ThemeImportError.UNSUPPORTED_FORMAT);
+  assertImportError(() => engine.parseTheme('{"seed": '), M3ThemeImportError.INVALID_SYNTAX);
+  assertImportError(() => engine.parseTheme('{"seed": "red"}'), M3ThemeImportError.INVALID_THEME);
+  assertImportError(() => engine.parseTheme('{"schemes": {}}'), M3ThemeImportError.INVALID_THEME);
+  assertImportError(() => engine.parseTheme(':root { --m3-sys-primary: red; }'), M3ThemeImportError.INVALID_THEME);
+  assertImportError(() => engine.parseTheme('$m3-surface: #FFFFFF;'), M3ThemeImportError.INVALID_THEME);
+  
+  return assert.rejects(engine.importTheme('{"seed": "red"}'), { code: M3ThemeImportError.INVALID_THEME })
+    .then(() => engine.destroy());
+});
+
+test('incomplete variable exports fall back to the seed', () => {
+  const engine = createEngine();
+  const data = engine.parseTheme(':root { --m3-sys-primary: #6750a4; --m3-sys-surface: #141218; }');
+  
+  assert.strictEqual(data.seed, '#6750A4');
+  assert.strictEqual(data.isDark, true);
+  assert.strictEqual(data.scheme, null);
+  engine.destroy();
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { M3ThemeEngine } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ThemeEngine']
+);
+
+test('sun times follow the sunrise equation', () => {
+  const { sunrise, sunset, polarNight } = M3ThemeEngine.getSunTimes(new Date(2024, 5, 21, 12), 51.5074, -0.1278);
+  const minutesBetween = (date, iso) => Math.abs(date.getTime() - Date.parse(iso)) / 60000;
+  
+  assert.ok(minutesBetween(sunrise, '2024-06-21T03:43:07Z') < 2, `London sunrise ${sunrise.toISOString()}`);
+  assert.ok(minutesBetween(sunset, '2024-06-21T20:21:30Z') < 2, `London sunset ${sunset.toISOString()}`);
+  assert.strictEqual(polarNight, false);
+});
+
+test('sun times report polar night and midnight sun', () => {
+  assert.deepStrictEqual(
+    plain(M3ThemeEngine.getSunTimes(new Date(2024, 11, 21, 12), 78.22, 15.65)),
+    { sunrise: null, sunset: null, polarNight: true }
+  );
+  assert.deepStrictEqual(
+    plain(M3ThemeEngine.getSunTimes(new Date(2024, 5, 21, 12), 78.22, 15.65)),
+    { sunrise: null, sunset: null, polarNight: false }
+  );
+});
+
+test('fixed schedules handle ranges across midnight', () => {
+  const overnight = { darkFrom: '19:00', lightFrom: '07:00' };
+  assert.strictEqual(M3ThemeEngine.isScheduledDark(overnight, new Date(2024, 0, 1, 12)), false);
+  assert.strictEqual(M3ThemeEngine.isScheduledDark(overnight, new Date(2024, 0, 1, 22)), true);
+  assert.strictEqual(M3ThemeEngine.isScheduledDark(overnight, new Date(2024, 0, 1, 3)), true);
+  
+  const daytime = { darkFrom: '09:00', lightFrom: '17:30' };
+  assert.strictEqual(M3ThemeEngine.isScheduledDark(daytime, new Date(2024, 0, 1, 12)), true);
+  assert.strictEqual(M3ThemeEngine.isScheduledDark(daytime, new Date(2024, 0, 1, 17, 30)), false);
+  
+  assert.strictEqual(
+    M3ThemeEngine.getNextScheduleChange(overnight, new Date(2024, 0, 1, 22)).getTime(),
+    new Date(2024, 0, 2, 7).getTime()
+  );
+});
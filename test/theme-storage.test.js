@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { M3ColorExtractor, M3ThemeEngine, M3MemoryStorageAdapter } = load(
+  ['m3-hct-color.js', 'm3-quantizer.js', 'm3-color-extractor.js', 'm3-theme-storage.js', 'm3-theme-engine.js'],
+  ['M3ColorExtractor', 'M3ThemeEngine', 'M3MemoryStorageAdapter']
+);
+
+const CUSTOM_COLORS = [{ name: 'success', value: '#2E7D32', harmonize: true }];
+
+const createEngine = (options = {}) => new M3ThemeEngine(Object.assign({
+  storage: new M3MemoryStorageAdapter(),
+  storageKey: 'test-theme',
+  syncTabs: false
+}, options));
+
+const createThemedEngine = () => {
+  const engine = createEngine();
+  engine.variant = 'vibrant';
+  engine.contrastLevel = 0.5;
+  engine.setCustomColors(CUSTOM_COLORS);
+  engine.applyTheme('#00796B', true);
+  return engine;
+};
+
+test('saved themes restore in a new engine', () => {
+  const source = createThemedEngine();
+  
+  return source.saveToStorage().then(() => {
+    const engine = createEngine({ storage: source.storage });
+    return engine.init().then(() => {
+      assert.strictEqual(engine.variant, 'vibrant');
+      assert.strictEqual(engine.contrastLevel, 0.5);
+      assert.strictEqual(engine.themeMode, 'dark');
+      assert.deepStrictEqual(plain(engine.customColors), plain(source.customColors));
+      assert.deepStrictEqual(plain(engine.currentScheme), plain(source.currentScheme));
+      engine.destroy();
+      source.destroy();
+    });
+  });
+});
+
+test('loadFromLocalStorage restores synchronously', () => {
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#123456', true);
+  const engine = createEngine({ storage: 'local', storageKey: 'test-sync-theme' });
+  engine.storage.storage.setItem('test-sync-theme', JSON.stringify({ seed: '#123456', isDark: true, scheme }));
+  
+  const data = engine.loadFromLocalStorage();
+  assert.strictEqual(data.seed, '#123456');
+  assert.strictEqual(engine.isDark, true);
+  assert.deepStrictEqual(plain(engine.currentScheme), plain(scheme));
+  engine.destroy();
+});
+
+test('loadFromLocalStorage ignores localStorage for other adapters', () => {
+  const scheme = M3ColorExtractor.generateSchemeFromColor('#123456', true);
+  const engine = createEngine({ storageKey: 'test-sync-theme' });
+  const { warn } = console;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  
+  try {
+    createEngine({ storage: 'local', storageKey: 'test-sync-theme' }).storage.storage
+      .setItem('test-sync-theme', JSON.stringify({ seed: '#123456', isDark: true, scheme }));
+    assert.strictEqual(engine.loadFromLocalStorage(), null);
+    assert.strictEqual(engine.currentScheme, null);
+    assert.match(warnings[0], /deprecated/);
+  } finally {
+    console.warn = warn;
+    engine.destroy();
+  }
+});
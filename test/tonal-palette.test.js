@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { M3HCTColor, M3TonalPalette } = load(['m3-hct-color.js'], ['M3HCTColor', 'M3TonalPalette']);
+
+test('tonal palettes run from black to white with increasing tone', () => {
+  const palette = M3TonalPalette.fromHex('#6750A4');
+  assert.strictEqual(palette.tone(0), '#000000');
+  assert.strictEqual(palette.tone(100), '#FFFFFF');
+  
+  const tones = M3TonalPalette.KEY_TONES.map(tone => M3HCTColor.fromHex(palette.tone(tone)).tone);
+  tones.slice(1).forEach((tone, i) => assert.ok(tone > tones[i], 'tones increase'));
+});
+
+test('palettes look up arbitrary tones once and restore from JSON', () => {
+  const palette = M3TonalPalette.fromHueAndChroma(270, 36);
+  
+  assert.strictEqual(palette.tone(37.4), palette.tone(37));
+  assert.strictEqual(palette.cache.size, 1);
+  assert.strictEqual(palette.tone(-5), '#000000');
+  assert.strictEqual(palette.tone(120), '#FFFFFF');
+  
+  const restored = M3TonalPalette.fromJSON(JSON.parse(JSON.stringify(palette)));
+  assert.strictEqual(restored.tone(37), palette.tone(37));
+});